@@ -0,0 +1,81 @@
+// ==================== BALANCED CLUSTERER - DAY-SIZED CLUSTERS ====================
+class BalancedClusterer {
+  constructor(limits) {
+    this.maxStores = limits.stores; // Visits one day can take
+    this.maxMinutes = limits.minutes; // Estimated work one day can take
+  }
+
+  // k-means where no cluster outgrows a day: each round gives every store
+  // the nearest centroid with room left, then moves the centroids, until the
+  // assignment settles. Visits no cluster could take come back as leftovers.
+  cluster(stores, centroids, maxIterations = 50) {
+    let result = null;
+    let previous = null;
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      result = this.assign(stores, centroids);
+
+      const signature = result.owners.join(",");
+      if (signature === previous) break;
+      previous = signature;
+
+      result.clusters.forEach((cluster, idx) => {
+        if (cluster.length > 0) {
+          centroids[idx] = BalancedClusterer.getCenter(cluster);
+        }
+      });
+    }
+
+    return {
+      clusters: result.clusters.filter((cluster) => cluster.length > 0),
+      leftovers: result.leftovers,
+    };
+  }
+
+  // Stores with one obviously nearest centroid go first, contested ones last
+  assign(stores, centroids) {
+    const clusters = centroids.map(() => []);
+    const minutes = centroids.map(() => 0);
+    const owners = stores.map(() => -1);
+    const leftovers = [];
+
+    const candidates = stores.map((store, index) => {
+      const distances = centroids.map((centroid) =>
+        Utils.distance(store.lat, store.lng, centroid.lat, centroid.lng)
+      );
+      const order = distances
+        .map((_, idx) => idx)
+        .sort((a, b) => distances[a] - distances[b]);
+      const regret =
+        order.length > 1 ? distances[order[1]] - distances[order[0]] : 0;
+      return { store, index, order, regret };
+    });
+    candidates.sort((a, b) => b.regret - a.regret);
+
+    candidates.forEach(({ store, index, order }) => {
+      const storeMinutes = Utils.estimateStoreMinutes(store);
+      const target = order.find(
+        (idx) =>
+          clusters[idx].length < this.maxStores &&
+          minutes[idx] + storeMinutes <= this.maxMinutes
+      );
+      if (target === undefined) {
+        leftovers.push(store);
+        return;
+      }
+
+      clusters[target].push(store);
+      minutes[target] += storeMinutes;
+      owners[index] = target;
+    });
+
+    return { clusters, leftovers, owners };
+  }
+
+  static getCenter(stores) {
+    return {
+      lat: stores.reduce((sum, s) => sum + s.lat, 0) / stores.length,
+      lng: stores.reduce((sum, s) => sum + s.lng, 0) / stores.length,
+    };
+  }
+}
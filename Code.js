@@ -3,9 +3,17 @@ const CONFIG = {
   SHEET_NAME: "Callplan MY",
   BUFFER_TIME: 5,
   LUNCH: { START: 12 * 60, END: 13 * 60 },
-  FRIDAY_PRAYER: { START: 11 * 60 + 30, END: 13 * 60 },
+  FRIDAY_PRAYER: { START: 11 * 60 + 30, END: 13 * 60, DAY: 5 }, // DAY: 5=Friday
   WORK: { START: 9 * 60, END: 18 * 60 + 20 },
   DEFAULT_VISIT_TIME: 30,
+
+  // NEW: Visit duration overrides (minutes). A "Visit Time" column on the
+  // store wins, then the retailer table, then the priority table.
+  VISIT_TIME: {
+    BY_RETAILER: {}, // e.g. { "Giant Hypermarket": 90, "7-Eleven": 10 }
+    BY_PRIORITY: {}, // e.g. { P1: 45 }
+    TRAVEL_ALLOWANCE: 15, // Travel + buffer per store in quick estimates
+  },
   MAPS_API_KEY: "", // Replace with your actual API key
 
   CLUSTERING: {
@@ -14,7 +22,15 @@ const CONFIG = {
     MAX_STORES_PER_DAY: 15,
     TARGET_STORES_PER_DAY: 12, // NEW: Target for balanced distribution
 
-    // Enhanced mall detection
+    // NEW: Density-based clustering (CLUSTERING_METHOD "DBSCAN"). Stores with
+    // MIN_STORES within RADIUS_KM form dense pockets; lone stores are fillers.
+    DBSCAN: {
+      RADIUS_KM: 3,
+      MIN_STORES: 4, // Counting the store itself
+    },
+
+    // Enhanced mall detection (see MallGrouper): a mall's stores are planned
+    // on one day and visited one after another
     MALL_DETECTION: {
       PROXIMITY_THRESHOLD: 0.2, // 200 meters for same mall/building
       MAX_STORES_PER_MALL: 3,
@@ -24,24 +40,77 @@ const CONFIG = {
     // NEW: Geographic optimization settings
     GEOGRAPHIC: {
       GRID_SIZE: 0.1, // ~1.1km grid cells for spatial indexing
-      CLUSTERING_METHOD: "KMEANS", // KMEANS or DBSCAN
+      CLUSTERING_METHOD: "KMEANS", // KMEANS, BALANCED (day-sized) or DBSCAN
       OPTIMIZE_ROUTES: true, // Enable 2-opt optimization
       BALANCE_LOAD: true, // Enable load balancing across days
     },
   },
 
   PRIORITIES: {
-    P1: { startCol: 7, requiredVisits: 2 },
-    P2: { startCol: 21, requiredVisits: 1 },
-    P3: { startCol: 28, requiredVisits: 1 },
-    P4: { startCol: 35, requiredVisits: 1 },
-    P5: { startCol: 42, requiredVisits: 1 },
-    P6: { startCol: 49, requiredVisits: 1 },
-    P7: { startCol: 56, requiredVisits: 1 },
-    P8: { startCol: 63, requiredVisits: 1 },
+    P1: { requiredVisits: 2 },
+    P2: { requiredVisits: 1 },
+    P3: { requiredVisits: 1 },
+    P4: { requiredVisits: 1 },
+    P5: { requiredVisits: 1 },
+    P6: { requiredVisits: 1 },
+    P7: { requiredVisits: 1 },
+    P8: { requiredVisits: 1 },
+  },
+
+  // NEW: Layout of the store data, located by header name
+  STORE_DATA: {
+    // Long format: one row per store with a Priority column. When this sheet
+    // exists it replaces the side-by-side priority blocks below.
+    MASTER_SHEET: "Store Master",
+    LABEL_ROW: 2, // Optional "P1".."P8" label above each block
+    HEADER_ROW: 3,
+    FIRST_ROW: 4, // Store rows start below the block headers
+    // Field -> accepted header names (case, spaces and punctuation ignored)
+    COLUMNS: {
+      noStr: ["No.Str", "No Str", "Store No", "Store Number", "Store Code"],
+      name: ["Store Name", "Name", "Outlet Name"],
+      retailer: ["Retailer", "Chain", "Account"],
+      district: ["District", "Area"],
+      address: ["Address", "Store Address"],
+      lat: ["Lat", "Latitude"],
+      lng: ["Lng", "Long", "Lon", "Longitude"],
+      salesL6M: ["Sales L6M", "Sales", "L6M Sales"],
+      shouldVisit: ["Visit?", "Visit", "Should Visit", "shouldVisit"],
+      visitTime: ["Visit Time", "Visit Minutes", "Visit Duration"],
+      openTime: ["Open", "Opens", "Open Time", "Opening Time"],
+      closeTime: ["Close", "Closes", "Close Time", "Closing Time"],
+      allowedDays: ["Allowed Days", "Visit Days", "Days"], // "TUE,THU", "NOT MON"
+      priority: ["Priority", "Tier"], // Store Master only
+    },
+    REQUIRED: ["noStr", "name", "lat", "lng", "shouldVisit"],
   },
 
   START: { LAT: 3.006902971094009, LNG: 101.76718109065438 },
+  // NEW: Where each day ends, e.g. { LAT: 3.1, LNG: 101.7 }; null = START
+  END: null,
+
+  // NEW: Merchandiser profile (drives holidays and work week)
+  MERCHANDISER: {
+    ID: "", // Matches "Applies To" on MERCHANDISER-scope leave rows
+    STATE: "Selangor", // State whose holidays and weekend apply
+    WORK_WEEK: "", // e.g. "SUN-THU"; blank = use the state's pattern
+  },
+
+  // NEW: Work week patterns (0=Sunday ... 6=Saturday)
+  WORK_WEEK: {
+    DEFAULT: "MON-FRI",
+    BY_STATE: {
+      Kedah: "SUN-THU",
+      Kelantan: "SUN-THU",
+      Terengganu: "SUN-THU",
+    },
+  },
+
+  // NEW: Reproducible runs. A whole number in this cell of the config sheet
+  // seeds every random choice; blank uses one made from the plan month.
+  RUN_SEED: {
+    CELL: "B33",
+  },
 
   // Fractional visit frequency settings
   FRACTIONAL_VISITS: {
@@ -57,6 +126,99 @@ const CONFIG = {
     AVG_SPEED_CITY: 20, // 20 km/h in city
     AVG_SPEED_HIGHWAY: 60, // 60 km/h on highway
   },
+
+  // NEW: Where distances and drive times come from (see TravelProvider)
+  TRAVEL: {
+    PROVIDER: "HAVERSINE", // HAVERSINE, ROAD_FACTOR or MATRIX
+    HIGHWAY_FROM_KM: 15, // Longer legs run at AVG_SPEED_HIGHWAY past this
+    // Road km per straight-line km, for the ROAD_FACTOR provider
+    ROAD_FACTOR: {
+      DEFAULT: 1.3,
+      BY_DISTRICT: {}, // e.g. { Cheras: 1.5 }
+    },
+    MATRIX_SHEET: "Travel Matrix", // From | To | Km | Minutes (No.Str/HOME[:ID]/END)
+    // Drive-time multipliers by the time a leg departs (minutes after
+    // midnight); the first matching band wins and other times use 1.
+    // Add DAYS (e.g. "FRI" or "MON-THU") to limit a band to some weekdays.
+    TRAFFIC_PROFILES: [
+      { FROM: 7 * 60 + 30, TO: 9 * 60 + 30, FACTOR: 2 }, // Morning rush
+      { FROM: 17 * 60, TO: 19 * 60 + 30, FACTOR: 2 }, // Evening rush
+    ],
+  },
+
+  // NEW: How a day's visits are ordered (see RouteImprover)
+  ROUTE_IMPROVEMENT: {
+    OBJECTIVE: "DISTANCE", // DISTANCE, FINISH_TIME or LATENESS
+    LATENESS_PENALTY: 10, // LATENESS: extra cost per minute late
+    MAX_MOVES: 200, // Improving moves per route before stopping
+  },
+
+  // NEW: Public holiday and leave calendar
+  HOLIDAYS: {
+    SHEET_NAME: "Holidays", // Date | Description | Scope | Applies To | Duration
+    HALF_DAY_END: 13 * 60, // Half days finish at 1:00 PM with no break
+  },
+
+  // NEW: Date-ranged working hours (e.g. Ramadan). On FROM..TO (yyyy-mm-dd,
+  // inclusive) a profile's WORK, LUNCH and FRIDAY_PRAYER replace the ones
+  // above; leave one out to keep it, or set a break to null to drop it.
+  // e.g. { NAME: "Ramadan", FROM: "2027-02-08", TO: "2027-03-09",
+  //        WORK: { START: 8 * 60 + 30, END: 16 * 60 + 30 }, LUNCH: null }
+  WORKING_HOURS_PROFILES: [],
+
+  // NEW: Per-day start/end overrides (warehouse, Monday briefing, stockist)
+  DAY_LOCATIONS: {
+    SHEET_NAME: "Day Locations", // Date | Applies To | Start + End (name, lat, lng)
+  },
+
+  // NEW: Fixed non-visit time (meetings, training, office admin). Columns:
+  // Date | Applies To | From | To | Description | Location | Lat | Lng
+  DAY_BLOCKS: {
+    SHEET_NAME: "Day Blocks",
+  },
+
+  // NEW: Last visit month per store, so fractional frequencies rotate
+  VISIT_HISTORY: {
+    SHEET_NAME: "Visit History", // No.Str | Last Visit | Visited Months
+  },
+
+  // NEW: How the priority set is chosen. "MODEL" estimates the month's
+  // workload in code; "SHEET" uses the D42:D49 utilization formulas instead.
+  UTILIZATION: {
+    SOURCE: "MODEL",
+    MAX_PERCENT: 100, // Largest cumulative set at or under this is planned
+    // Part of the next priority when all of it would not fit
+    MARGINAL_TIER: {
+      ENABLED: true,
+      RANK_BY: "SALES", // SALES, PROXIMITY (to planned stores) or LAST_VISIT
+    },
+  },
+
+  // NEW: Store value - which stores a full day drops first and which fillers
+  // go in first. Score = priority weight + sales points + recency points.
+  STORE_VALUE: {
+    PRIORITY_WEIGHTS: {
+      P1: 100,
+      P2: 85,
+      P3: 70,
+      P4: 55,
+      P5: 40,
+      P6: 25,
+      P7: 10,
+      P8: 0,
+    },
+    SALES_WEIGHT: 10, // Points for Sales L6M at or above SALES_FULL_SCORE
+    SALES_FULL_SCORE: 200000, // Smaller sales earn points pro rata
+    RECENCY_WEIGHT: 2, // Points per month since the last visit
+    MAX_RECENCY_MONTHS: 6, // Longer waits (and no visit yet) count as this
+  },
+
+  // NEW: Team planning (one plan per merchandiser on the roster)
+  TEAM: {
+    ROSTER_SHEET: "Merchandisers", // ID | Name | Home Lat | Home Lng | State | Work Week | Max Stores/Day | Active
+    SUMMARY_PREFIX: "Team Summary",
+    BALANCE_TOLERANCE: 0.1, // Territories may exceed their fair share by 10%
+  },
 };
 
 // ==================== ENHANCED UTILITIES ====================
@@ -93,6 +255,312 @@ const Utils = {
     return parseFloat(displayVal) || 0;
   },
 
+  // NEW: Per-day working window (holidays, half-day leave and working hours
+  // profiles change it)
+  getWorkStart(dayInfo) {
+    return (dayInfo && dayInfo.workStart) || CONFIG.WORK.START;
+  },
+
+  getWorkEnd(dayInfo) {
+    return (dayInfo && dayInfo.workEnd) || CONFIG.WORK.END;
+  },
+
+  // Calendar days carry their own break window (null for none)
+  getBreakWindow(dayInfo) {
+    if (dayInfo && dayInfo.breakWindow !== undefined) {
+      return dayInfo.breakWindow;
+    }
+    const breakType = dayInfo ? dayInfo.breakType : "lunch";
+    if (breakType === "none") return null;
+    return breakType === "prayer"
+      ? { start: CONFIG.FRIDAY_PRAYER.START, end: CONFIG.FRIDAY_PRAYER.END }
+      : { start: CONFIG.LUNCH.START, end: CONFIG.LUNCH.END };
+  },
+
+  // NEW: Fixed blocks (see DayBlocks) still ahead at `time` that a visit to
+  // `store` would run into, or all of them when store is null. Each is
+  // attended in turn: drive to its location, wait for its start, stay to the
+  // end. The first trip of the day sets off early enough to be on time.
+  // After the last visit, blocks without a location of their own (and no
+  // located block after them) are attended at the day's end location, so
+  // the drive back comes before them rather than after the work day.
+  attendBlocks(dayInfo, time, point, store = null) {
+    const attended = [];
+    const pending = ((dayInfo && dayInfo.blocks) || []).filter(
+      (block) => block.end > time
+    );
+
+    for (const [idx, block] of pending.entries()) {
+      if (store) {
+        const arrival =
+          time + TravelProvider.leg(point, store, time, dayInfo).minutes;
+        const finish =
+          this.getVisitStart(store, arrival) +
+          CONFIG.BUFFER_TIME +
+          this.getVisitTime(store);
+        if (finish <= block.start) break;
+      }
+
+      const location =
+        block.location ||
+        (!store && !pending.slice(idx + 1).some((later) => later.location)
+          ? TravelProvider.end(dayInfo)
+          : null);
+      const leg = location
+        ? TravelProvider.leg(point, location, time, dayInfo)
+        : { km: 0, minutes: 0 };
+      const arrival =
+        time === this.getWorkStart(dayInfo) && !point.noStr
+          ? Math.max(time, block.start)
+          : time + leg.minutes;
+      const start = Math.max(arrival, block.start);
+      const end = Math.max(start, block.end);
+
+      attended.push({
+        ...block,
+        distance: leg.km,
+        duration: leg.minutes,
+        arrivalTime: start,
+        departTime: end,
+      });
+      time = end;
+      if (location) point = location;
+    }
+
+    return { time, point, blocks: attended };
+  },
+
+  // Minutes of the working window taken by fixed blocks, not counting any
+  // part that overlaps the lunch/prayer break
+  getBlockedMinutes(dayInfo) {
+    const breakWindow = this.getBreakWindow(dayInfo);
+    return ((dayInfo && dayInfo.blocks) || []).reduce((sum, block) => {
+      const overlap = breakWindow
+        ? Math.max(
+            0,
+            Math.min(block.end, breakWindow.end) -
+              Math.max(block.start, breakWindow.start)
+          )
+        : 0;
+      return sum + (block.end - block.start) - overlap;
+    }, 0);
+  },
+
+  // Working minutes left for visits after the break and fixed blocks
+  getAvailableMinutes(dayInfo) {
+    const breakWindow = this.getBreakWindow(dayInfo);
+    const breakMinutes = breakWindow ? breakWindow.end - breakWindow.start : 0;
+    return Math.max(
+      0,
+      this.getWorkEnd(dayInfo) -
+        this.getWorkStart(dayInfo) -
+        breakMinutes -
+        this.getBlockedMinutes(dayInfo)
+    );
+  },
+
+  // NEW: Blocks left after the last store, then the drive to the end
+  // location. Both are kept on that store, so day totals and end times can
+  // include them.
+  addReturnLeg(route, dayInfo) {
+    const last = route[route.length - 1];
+    if (!last) return route;
+
+    const after = this.attendBlocks(dayInfo, last.departTime, last);
+    const leg = TravelProvider.leg(
+      after.point,
+      TravelProvider.end(dayInfo),
+      after.time,
+      dayInfo
+    );
+    last.blocksAfter = after.blocks;
+    last.returnDistance = leg.km;
+    last.returnDuration = leg.minutes;
+    last.returnTime = after.time + leg.minutes;
+    if (last.returnTime > this.getWorkEnd(dayInfo)) {
+      last.timeWarning = true;
+      last.isAfter6PM = true;
+    }
+    return route;
+  },
+
+  // Km driven in a timed day, including blocks and the drive back
+  getDayDistance(route) {
+    if (!route || route.length === 0) return 0;
+    const blockKm = (blocks) =>
+      (blocks || []).reduce((sum, block) => sum + block.distance, 0);
+    const last = route[route.length - 1];
+    return (
+      route.reduce(
+        (sum, store) =>
+          sum + (store.distance || 0) + blockKm(store.blocksBefore),
+        0
+      ) +
+      blockKm(last.blocksAfter) +
+      (last.returnDistance || 0)
+    );
+  },
+
+  // When a timed day is over: back at the end location
+  getDayEnd(route) {
+    if (!route || route.length === 0) return CONFIG.WORK.START;
+    const last = route[route.length - 1];
+    return last.returnTime != null ? last.returnTime : last.departTime;
+  },
+
+  // NEW: Visits per store on a finished plan's days (noStr -> count)
+  countPlannedVisits(workingDays) {
+    const counts = new Map();
+    workingDays.forEach((week) =>
+      week.forEach((dayInfo) =>
+        (dayInfo.optimizedStores || []).forEach((store) =>
+          counts.set(store.noStr, (counts.get(store.noStr) || 0) + 1)
+        )
+      )
+    );
+    return counts;
+  },
+
+  // NEW: Visits of `stores` neither on the plan's days nor already listed
+  // as unvisited, one entry per missing visit
+  findMissingVisits(stores, workingDays, unvisitedStores, reason) {
+    const planned = this.countPlannedVisits(workingDays);
+    const listed = new Map();
+    unvisitedStores.forEach((store) =>
+      listed.set(store.noStr, (listed.get(store.noStr) || 0) + 1)
+    );
+
+    const missing = [];
+    stores.forEach((store) => {
+      const count =
+        (store.visits || 1) -
+        (planned.get(store.noStr) || 0) -
+        (listed.get(store.noStr) || 0);
+      for (let i = 0; i < count; i++) {
+        missing.push({ ...store, unscheduledReason: reason });
+      }
+    });
+    return missing;
+  },
+
+  exceedsDailyDistance(km) {
+    return km > CONFIG.TRAVEL_LIMITS.MAX_DAILY_DISTANCE;
+  },
+
+  // Minutes on site for a store row being loaded
+  resolveVisitTime(record, priority) {
+    const explicit = parseFloat(record.visitTime);
+    if (explicit > 0) return explicit;
+
+    const { BY_RETAILER, BY_PRIORITY } = CONFIG.VISIT_TIME;
+    const retailer = (record.retailer || "").toString().trim().toLowerCase();
+    const retailerKey = Object.keys(BY_RETAILER).find(
+      (key) => key.toLowerCase() === retailer
+    );
+    if (retailerKey) return BY_RETAILER[retailerKey];
+    if (BY_PRIORITY[priority]) return BY_PRIORITY[priority];
+
+    return CONFIG.DEFAULT_VISIT_TIME;
+  },
+
+  getVisitTime(store) {
+    return (store && store.visitTime) || CONFIG.DEFAULT_VISIT_TIME;
+  },
+
+  // Rough minutes a store adds to a day (visit + travel allowance)
+  estimateStoreMinutes(store) {
+    return this.getVisitTime(store) + CONFIG.VISIT_TIME.TRAVEL_ALLOWANCE;
+  },
+
+  // NEW: Clock time from a sheet cell -> minutes after midnight, or null.
+  // Accepts time cells, day fractions, "10:00", "10:00 AM" and "10am".
+  parseClockTime(value) {
+    if (value === null || value === undefined || value === "") return null;
+
+    if (value instanceof Date) {
+      return isNaN(value.getTime())
+        ? null
+        : value.getHours() * 60 + value.getMinutes();
+    }
+    if (typeof value === "number") {
+      return value >= 0 && value < 1 ? Math.round(value * 24 * 60) : null;
+    }
+
+    const match = value
+      .toString()
+      .trim()
+      .match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/i);
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2] || "0");
+    const period = (match[3] || "").toLowerCase();
+    if (!match[2] && !period) return null; // A bare "10" is too ambiguous
+    if (period === "pm" && hours < 12) hours += 12;
+    if (period === "am" && hours === 12) hours = 0;
+
+    return hours < 24 && minutes < 60 ? hours * 60 + minutes : null;
+  },
+
+  hasTimeWindow(store) {
+    return !!store && (store.openTime != null || store.closeTime != null);
+  },
+
+  // Arriving early means waiting outside until the store opens
+  getVisitStart(store, arrivalTime) {
+    return store && store.openTime != null
+      ? Math.max(arrivalTime, store.openTime)
+      : arrivalTime;
+  },
+
+  // The visit itself has to finish before the store closes
+  missesTimeWindow(store, visitStart) {
+    return (
+      !!store &&
+      store.closeTime != null &&
+      visitStart + this.getVisitTime(store) > store.closeTime
+    );
+  },
+
+  formatTimeWindow(store) {
+    const open =
+      store.openTime != null ? this.formatTime(store.openTime) : "opening";
+    const close =
+      store.closeTime != null ? this.formatTime(store.closeTime) : "closing";
+    return `${open} - ${close}`;
+  },
+
+  // NEW: Why visits were left off the plan ("Stores Not Covered" shows it)
+  markUnscheduled(stores, reason) {
+    stores.forEach((store) => {
+      store.unscheduledReason = reason;
+    });
+    return stores;
+  },
+
+  // NEW: Stores with allowed visit days only go on those weekdays
+  isDayAllowed(store, dayInfo) {
+    return (
+      !store ||
+      !store.allowedDays ||
+      !dayInfo ||
+      store.allowedDays.includes(dayInfo.dayOfWeek)
+    );
+  },
+
+  // Store capacity scaled to the minutes available on the day
+  getDayCapacity(dayInfo) {
+    const fullDay = CONFIG.WORK.END - CONFIG.WORK.START;
+    const available =
+      this.getWorkEnd(dayInfo) -
+      this.getWorkStart(dayInfo) -
+      this.getBlockedMinutes(dayInfo);
+    return Math.max(
+      1,
+      Math.floor((CONFIG.CLUSTERING.MAX_STORES_PER_DAY * available) / fullDay)
+    );
+  },
+
   // Enhanced logging with levels
   log(message, type = "INFO") {
     const timestamp = new Date().toISOString().slice(0, 19).replace("T", " ");
@@ -165,8 +633,7 @@ const Utils = {
   formatMallInfo(mallInfo) {
     if (!mallInfo) return "Individual store";
 
-    const { storeCount, priorities } = mallInfo;
-    return `Mall cluster (${storeCount} stores: ${priorities.join(", ")})`;
+    return `Mall cluster (${mallInfo.storeCount} stores)`;
   },
 
   // NEW: Calculate travel time between stores considering mall proximity
@@ -192,7 +659,7 @@ const Utils = {
       return Math.max(3, Math.round(distance * 20)); // 20 min per km for short drives
     } else {
       // Normal driving time between different locations
-      return Math.round(distance * 3); // 3 min per km for normal driving
+      return TravelProvider.current().getMinutes(store1, store2);
     }
   },
 
@@ -246,10 +713,11 @@ const Utils = {
     }
   },
 
+  // Changes with the run seed, so each seed picks its own fractional visits
   generateSeed(storeIndex, priority) {
     const priorityNum = parseInt(priority.replace("P", "")) || 1;
     return (
-      (storeIndex + priorityNum * 100) *
+      (storeIndex + priorityNum * 100 + RunSeed.getSeed() * 10000) *
       CONFIG.FRACTIONAL_VISITS.SEED_MULTIPLIER
     );
   },
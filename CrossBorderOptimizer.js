@@ -9,11 +9,13 @@ class CrossBorderOptimizer {
       BORDER_THRESHOLD: config.borderThreshold || 0.7,
       ...config,
     };
+    this.typicalDay = null; // Hours used before routes meet the calendar
   }
 
   // Main optimization entry point
   optimize(stores, workingDays) {
     Utils.log("🚀 Starting Cross-Border Route Optimization", "INFO");
+    this.typicalDay = this.getTypicalDay(workingDays);
 
     // Phase 1: Create grid-based clusters
     const gridAnalysis = this.createGridClusters(stores);
@@ -23,8 +25,11 @@ class CrossBorderOptimizer {
     const optimizedDays = this.performCrossBorderOptimization(gridAnalysis);
     Utils.log(`🎯 Optimized to ${optimizedDays.length} days`, "INFO");
 
-    // Phase 3: Internal route optimization
-    const finalRoutes = this.optimizeInternalRoutes(optimizedDays);
+    // Phase 3: Line days up with the calendar for stores with allowed days
+    const scheduledDays = this.alignWithAllowedDays(optimizedDays, workingDays);
+
+    // Phase 4: Internal route optimization
+    const finalRoutes = this.optimizeInternalRoutes(scheduledDays, workingDays);
 
     return {
       routes: finalRoutes,
@@ -157,9 +162,16 @@ class CrossBorderOptimizer {
     let numSplits = Math.ceil(totalStores / this.config.CAPACITY_PER_DAY);
 
     // Estimate if time constraints require additional splits
-    const estimatedTimePerStore = 45; // minutes (30 visit + 15 travel/buffer average)
+    const estimatedTimePerStore =
+      overloadedGrid.stores.reduce(
+        (sum, store) => sum + Utils.estimateStoreMinutes(store),
+        0
+      ) / totalStores; // Average visit time + travel/buffer in this grid
     const maxStoresForTime = Math.floor(
-      (CONFIG.WORK.END - CONFIG.WORK.START - 90) / estimatedTimePerStore
+      (Utils.getWorkEnd(this.typicalDay) -
+        Utils.getWorkStart(this.typicalDay) -
+        90) /
+        estimatedTimePerStore
     ); // 90 min for breaks
 
     if (this.config.CAPACITY_PER_DAY > maxStoresForTime) {
@@ -356,69 +368,142 @@ class CrossBorderOptimizer {
     return { addedStores, sourceGrids };
   }
 
-  // Internal route optimization using 2-opt
-  optimizeInternalRoutes(optimizedDays) {
-    return optimizedDays.map((day) => {
-      if (day.stores.length > 2) {
-        day.stores = this.optimize2Opt(day.stores);
+  // Routes are mapped to calendar days in order, so order them to suit
+  // stores with allowed visit days and move any that still clash
+  alignWithAllowedDays(optimizedDays, workingDays) {
+    const calendar = [].concat(...(workingDays || []));
+    const restricted = optimizedDays.some((day) =>
+      day.stores.some((store) => store.allowedDays)
+    );
+    if (!restricted || calendar.length === 0) return optimizedDays;
+
+    // Each calendar day takes the remaining route with the fewest clashes
+    const remaining = [...optimizedDays];
+    const ordered = calendar.map((dayInfo) => {
+      if (remaining.length === 0) {
+        return {
+          type: "ALLOWED_DAYS",
+          stores: [],
+          utilization: 0,
+          crossBorderInfo: { count: 0, sources: [] },
+        };
       }
-      return day;
-    });
-  }
 
-  // 2-opt route optimization
-  optimize2Opt(stores) {
-    if (stores.length <= 3) return stores;
+      let bestIdx = 0;
+      let bestClashes = Infinity;
+      remaining.forEach((day, idx) => {
+        const clashes = day.stores.filter(
+          (store) => !Utils.isDayAllowed(store, dayInfo)
+        ).length;
+        if (clashes < bestClashes) {
+          bestClashes = clashes;
+          bestIdx = idx;
+        }
+      });
+      return remaining.splice(bestIdx, 1)[0];
+    });
 
-    let improved = true;
-    let currentRoute = [...stores];
+    const misplaced = [];
+    ordered.forEach((day, idx) => {
+      const kept = day.stores.filter((store) =>
+        Utils.isDayAllowed(store, calendar[idx])
+      );
+      misplaced.push(...day.stores.filter((store) => !kept.includes(store)));
+      day.stores = kept;
+    });
 
-    while (improved) {
-      improved = false;
+    const unplaced = [];
+    misplaced.forEach((store) => {
+      let best = null;
+      let bestDistance = Infinity;
 
-      for (let i = 1; i < currentRoute.length - 1; i++) {
-        for (let j = i + 1; j < currentRoute.length; j++) {
-          const newRoute = this.perform2OptSwap(currentRoute, i, j);
+      ordered.forEach((day, idx) => {
+        if (!Utils.isDayAllowed(store, calendar[idx])) return;
+        if (day.stores.length >= this.config.CAPACITY_PER_DAY) return;
+        if (
+          !this.validateTimeConstraints([...day.stores, store], calendar[idx])
+        )
+          return;
 
-          if (
-            this.calculateRouteDistance(newRoute) <
-            this.calculateRouteDistance(currentRoute)
-          ) {
-            currentRoute = newRoute;
-            improved = true;
-          }
+        const center = this.calculateClusterCenter(day.stores);
+        const distance =
+          day.stores.length > 0
+            ? Utils.distance(store.lat, store.lng, center.lat, center.lng)
+            : this.config.MAX_CROSS_BORDER_DISTANCE * 2; // Empty day fallback
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = day;
         }
+      });
+
+      if (best) {
+        best.stores.push(store);
+      } else {
+        unplaced.push(store);
       }
+    });
+
+    Utils.log(
+      `📅 Allowed visit days: moved ${
+        misplaced.length - unplaced.length
+      } stores, ${unplaced.length} could not be placed`,
+      unplaced.length > 0 ? "WARN" : "INFO"
+    );
+
+    // Routes past the calendar end up as unvisited
+    ordered.push(...remaining);
+    if (unplaced.length > 0) {
+      ordered.push({
+        type: "ALLOWED_DAYS_UNPLACED",
+        stores: unplaced,
+        utilization: unplaced.length / this.config.CAPACITY_PER_DAY,
+        crossBorderInfo: { count: 0, sources: [] },
+      });
     }
 
-    return currentRoute;
+    // Empty days only need to stay as spacers before a used one
+    let end = ordered.length;
+    while (end > 0 && ordered[end - 1].stores.length === 0) end--;
+    return ordered.slice(0, end);
   }
 
-  perform2OptSwap(route, i, j) {
-    return [
-      ...route.slice(0, i),
-      ...route.slice(i, j + 1).reverse(),
-      ...route.slice(j + 1),
-    ];
+  // Internal route improvement (see RouteImprover); routes line up with
+  // the calendar by index, so each is ordered and re-timed against its own
+  // day (weekday-only traffic bands included) instead of the typical day
+  optimizeInternalRoutes(optimizedDays, workingDays = null) {
+    const calendar = [].concat(...(workingDays || []));
+    return optimizedDays.map((day, idx) => {
+      const dayInfo = calendar[idx] || null;
+      if (day.stores.length > 2) {
+        day.stores = RouteImprover.improve(day.stores, dayInfo);
+      }
+      if (dayInfo && day.stores.length > 0) {
+        day.calendarDay = dayInfo;
+        day.estimatedEndTime = this.calculateEstimatedEndTime(
+          day.stores,
+          dayInfo
+        );
+      }
+      return day;
+    });
   }
 
-  calculateRouteDistance(stores) {
+  calculateRouteDistance(stores, dayInfo = null) {
     if (stores.length === 0) return 0;
 
     let totalDistance = 0;
-    let current = { lat: CONFIG.START.LAT, lng: CONFIG.START.LNG };
+    let current = TravelProvider.start(dayInfo);
 
     stores.forEach((store) => {
-      totalDistance += Utils.distance(
-        current.lat,
-        current.lng,
-        store.lat,
-        store.lng
-      );
+      totalDistance += TravelProvider.leg(current, store).km;
       current = store;
     });
 
-    return totalDistance;
+    // The drive back is mileage too
+    return (
+      totalDistance +
+      TravelProvider.leg(current, TravelProvider.end(dayInfo)).km
+    );
   }
 
   // Helper methods
@@ -554,7 +639,9 @@ class CrossBorderOptimizer {
     // Calculate time constraint compliance
     const routesWithTimeValidation = finalRoutes.filter(
       (route) =>
-        route.estimatedEndTime && route.estimatedEndTime <= CONFIG.WORK.END
+        route.estimatedEndTime &&
+        route.estimatedEndTime <=
+          Utils.getWorkEnd(route.calendarDay || this.typicalDay)
     );
     const timeComplianceRate =
       finalRoutes.length > 0
@@ -577,73 +664,54 @@ class CrossBorderOptimizer {
     };
   }
 
-  // Validate that stores can be completed within working hours
-  validateTimeConstraints(stores) {
+  // Validate that stores can be completed within working hours and the
+  // daily distance limit
+  validateTimeConstraints(stores, dayInfo = this.typicalDay) {
     if (!stores || stores.length === 0) return true;
 
-    const estimatedEndTime = this.calculateEstimatedEndTime(stores);
-    return estimatedEndTime <= CONFIG.WORK.END;
+    const estimatedEndTime = this.calculateEstimatedEndTime(stores, dayInfo);
+    return (
+      estimatedEndTime <= Utils.getWorkEnd(dayInfo) &&
+      !Utils.exceedsDailyDistance(this.calculateRouteDistance(stores, dayInfo))
+    );
   }
 
-  // Calculate estimated end time for a list of stores
-  calculateEstimatedEndTime(stores) {
-    if (!stores || stores.length === 0) return CONFIG.WORK.START;
-
-    let currentTime = CONFIG.WORK.START;
-    let currentLat = CONFIG.START.LAT;
-    let currentLng = CONFIG.START.LNG;
-    let hasBreak = false;
-
-    const breakStart = CONFIG.LUNCH.START; // Use lunch break as default
-    const breakEnd = CONFIG.LUNCH.END;
-
-    stores.forEach((store) => {
-      // Calculate travel time
-      const distance = Utils.distance(
-        currentLat,
-        currentLng,
-        store.lat,
-        store.lng
-      );
-      const travelTime = Math.round(distance * 3); // 3 min/km
-
-      currentTime += travelTime;
-
-      // Handle break
-      if (!hasBreak && currentTime >= breakStart && currentTime < breakEnd) {
-        currentTime = breakEnd;
-        hasBreak = true;
-      }
-
-      // Add visit time and buffer
-      const visitDuration =
-        CONFIG.BUFFER_TIME + (store.visitTime || CONFIG.DEFAULT_VISIT_TIME);
-      currentTime += visitDuration;
+  // Estimated end time on a day's hours: the createDetailedRoute timeline
+  // (see TimeWindowSequencer.simulate), priced with that day's traffic
+  calculateEstimatedEndTime(stores, dayInfo = this.typicalDay) {
+    if (!stores || stores.length === 0) return Utils.getWorkStart(dayInfo);
+    return TimeWindowSequencer.simulate(stores, dayInfo).endTime;
+  }
 
-      // Update position
-      currentLat = store.lat;
-      currentLng = store.lng;
+  // The month's most common working hours and break, as a day without a
+  // date: grid days are sized on it before they are given calendar days
+  getTypicalDay(workingDays) {
+    const counts = new Map();
+    [].concat(...(workingDays || [])).forEach((dayInfo) => {
+      const typical = {
+        workStart: Utils.getWorkStart(dayInfo),
+        workEnd: Utils.getWorkEnd(dayInfo),
+        breakWindow: Utils.getBreakWindow(dayInfo),
+      };
+      const key = JSON.stringify(typical);
+      const entry = counts.get(key) || { typical, count: 0 };
+      entry.count++;
+      counts.set(key, entry);
     });
 
-    return currentTime;
+    let best = null;
+    counts.forEach((entry) => {
+      if (!best || entry.count > best.count) best = entry;
+    });
+    return best ? best.typical : null;
   }
 
   // Trim stores from a day to fit within time constraints
   trimStoresForTimeConstraints(stores) {
     if (!stores || stores.length === 0) return stores;
 
-    // Sort by priority and business value for smart trimming
-    const sortedStores = stores.sort((a, b) => {
-      const priorityA = parseInt(a.priority.replace("P", "")) || 999;
-      const priorityB = parseInt(b.priority.replace("P", "")) || 999;
-
-      if (priorityA !== priorityB) {
-        return priorityA - priorityB; // Lower priority number = higher priority
-      }
-
-      // Secondary sort by sales value
-      return (b.salesL6M || 0) - (a.salesL6M || 0);
-    });
+    // Most valuable first (priority, sales and time since last visit)
+    const sortedStores = stores.sort(StoreValue.compare);
 
     // Add stores one by one until time limit is reached
     const trimmedStores = [];
@@ -1,9 +1,23 @@
 // ==================== DATE CALCULATOR ====================
 class DateCalculator {
-  constructor() {
-    const today = new Date();
-    this.currentMonth = today.getMonth();
-    this.currentYear = today.getFullYear();
+  constructor(
+    targetMonth = null,
+    holidayCalendar = null,
+    workWeek = null,
+    dayLocations = null,
+    dayBlocks = null
+  ) {
+    const target = targetMonth || DateCalculator.getDefaultTargetMonth();
+    this.currentMonth = target.month;
+    this.currentYear = target.year;
+    this.holidayCalendar = holidayCalendar;
+    this.dayLocations = dayLocations;
+    this.dayBlocks = dayBlocks;
+    this.workWeek = DateCalculator.parseWorkWeek(
+      workWeek || DateCalculator.getConfiguredWorkWeek()
+    );
+    this.daysOff = []; // Weekdays removed by holidays/leave in the last run
+    this.hoursProfiles = DateCalculator.loadHoursProfiles();
   }
 
   getMonthlyWorkingDays() {
@@ -13,6 +27,10 @@ class DateCalculator {
 
     let weekNumber = 0;
     let currentWeek = [];
+    this.daysOff = [];
+
+    const workWeek = this.workWeek;
+    const lastWorkDay = workWeek[workWeek.length - 1];
 
     for (
       let date = new Date(firstDay);
@@ -21,23 +39,84 @@ class DateCalculator {
     ) {
       const dayOfWeek = date.getDay(); // 0=Sunday, 1=Monday, ..., 6=Saturday
 
-      // Only include Monday to Friday (1-5)
-      if (dayOfWeek >= 1 && dayOfWeek <= 5) {
-        const dayInfo = {
-          date: new Date(date),
-          dayOfWeek: dayOfWeek,
-          dayName: this.getDayName(dayOfWeek),
-          isFriday: dayOfWeek === 5,
-          week: weekNumber,
-          dayIndex: dayOfWeek - 1, // 0=Monday, 1=Tuesday, ..., 4=Friday
-          stores: [],
-          breakType: dayOfWeek === 5 ? "prayer" : "lunch",
-        };
+      // Only include the merchandiser's working days (e.g. MON-FRI or SUN-THU)
+      if (workWeek.includes(dayOfWeek)) {
+        const dayOff = this.holidayCalendar
+          ? this.holidayCalendar.getDayOff(date)
+          : null;
+
+        if (dayOff && !dayOff.isHalfDay) {
+          // Full holiday/leave: the day never reaches clustering
+          this.daysOff.push({ ...dayOff, dayName: this.getDayName(dayOfWeek) });
+          Utils.log(
+            `Skipping ${this.formatDate(date)}: ${dayOff.name} (${
+              dayOff.scope
+            })`,
+            "INFO"
+          );
+        } else {
+          // Friday prayer only matters when Friday is a working day
+          const hours = this.getWorkingHours(date);
+          const isPrayerDay = dayOfWeek === CONFIG.FRIDAY_PRAYER.DAY;
+          const breakHours = isPrayerDay ? hours.FRIDAY_PRAYER : hours.LUNCH;
+
+          const dayInfo = {
+            date: new Date(date),
+            dayOfWeek: dayOfWeek,
+            dayName: this.getDayName(dayOfWeek),
+            isFriday: dayOfWeek === 5,
+            week: weekNumber,
+            dayIndex: workWeek.indexOf(dayOfWeek), // 0=first day of work week
+            stores: [],
+            breakType: !breakHours ? "none" : isPrayerDay ? "prayer" : "lunch",
+            breakWindow: breakHours
+              ? { start: breakHours.START, end: breakHours.END }
+              : null,
+            workStart: hours.WORK.START,
+            workEnd: hours.WORK.END,
+          };
+          if (hours.NAME) dayInfo.hoursProfile = hours.NAME;
+
+          if (dayOff) {
+            // Half day: morning only, no lunch/prayer break
+            this.daysOff.push({ ...dayOff, dayName: dayInfo.dayName });
+            dayInfo.isHalfDay = true;
+            dayInfo.holidayName = dayOff.name;
+            dayInfo.workEnd = Math.min(
+              dayInfo.workEnd,
+              CONFIG.HOLIDAYS.HALF_DAY_END
+            );
+            dayInfo.breakType = "none";
+            dayInfo.breakWindow = null;
+          }
+
+          // Days that start or finish away from home (see TravelProvider)
+          const locations = this.dayLocations
+            ? this.dayLocations.getForDate(date)
+            : null;
+          if (locations) {
+            dayInfo.startLocation = locations.start;
+            dayInfo.endLocation = locations.end;
+          }
 
-        currentWeek.push(dayInfo);
+          // Meetings, training and office time that are not store visits
+          dayInfo.blocks = this.dayBlocks
+            ? this.dayBlocks.getForDate(
+                date,
+                dayInfo.workStart,
+                dayInfo.workEnd
+              )
+            : [];
 
-        // Start new week after Friday or if we have 5 days
-        if (dayOfWeek === 5 || currentWeek.length === 5) {
+          currentWeek.push(dayInfo);
+        }
+
+        // Start new week after the last work day (even a holiday) or a full week
+        if (
+          (dayOfWeek === lastWorkDay ||
+            currentWeek.length === workWeek.length) &&
+          currentWeek.length > 0
+        ) {
           workingDays.push([...currentWeek]);
           currentWeek = [];
           weekNumber++;
@@ -56,6 +135,8 @@ class DateCalculator {
         workingDays.length +
         " weeks (" +
         (workingDays.length === 5 ? "W5 AVAILABLE" : "Standard 4 weeks") +
+        ", work week " +
+        this.getWorkWeekLabel() +
         ")",
       "INFO"
     );
@@ -79,6 +160,34 @@ class DateCalculator {
     return workingDays;
   }
 
+  // WORK, LUNCH and FRIDAY_PRAYER for a date: the first working hours
+  // profile covering it overrides CONFIG (a null break means none that day)
+  getWorkingHours(date) {
+    const key = HolidayCalendar.dateKey(date);
+    const profile = this.hoursProfiles.find(
+      (entry) => key >= entry.fromKey && key <= entry.toKey
+    );
+    if (!profile) {
+      return {
+        NAME: null,
+        WORK: CONFIG.WORK,
+        LUNCH: CONFIG.LUNCH,
+        FRIDAY_PRAYER: CONFIG.FRIDAY_PRAYER,
+      };
+    }
+
+    const override = (name) =>
+      profile[name] === undefined
+        ? CONFIG[name]
+        : profile[name] && { ...CONFIG[name], ...profile[name] };
+    return {
+      NAME: profile.NAME || "Working hours profile",
+      WORK: override("WORK"),
+      LUNCH: override("LUNCH"),
+      FRIDAY_PRAYER: override("FRIDAY_PRAYER"),
+    };
+  }
+
   getDayName(dayOfWeek) {
     const names = [
       "Sunday",
@@ -92,6 +201,28 @@ class DateCalculator {
     return names[dayOfWeek];
   }
 
+  // e.g. "SUN-THU" for consecutive days, otherwise "MON,WED,FRI"
+  getWorkWeekLabel() {
+    const codes = this.workWeek.map((day) =>
+      this.getDayName(day).substring(0, 3).toUpperCase()
+    );
+    const consecutive = this.workWeek.every(
+      (day, idx) => idx === 0 || day === (this.workWeek[idx - 1] + 1) % 7
+    );
+    return consecutive && codes.length > 1
+      ? `${codes[0]}-${codes[codes.length - 1]}`
+      : codes.join(",");
+  }
+
+  getMonthName(month) {
+    return DateCalculator.getMonthNames()[month];
+  }
+
+  // e.g. "January 2026" - used for sheet names and summaries
+  getMonthLabel() {
+    return `${this.getMonthName(this.currentMonth)} ${this.currentYear}`;
+  }
+
   formatDate(date) {
     return date.toLocaleDateString("en-MY", {
       weekday: "long",
@@ -121,4 +252,142 @@ class DateCalculator {
       workingDays,
     };
   }
+
+  static getMonthNames() {
+    return [
+      "January",
+      "February",
+      "March",
+      "April",
+      "May",
+      "June",
+      "July",
+      "August",
+      "September",
+      "October",
+      "November",
+      "December",
+    ];
+  }
+
+  // CONFIG.WORKING_HOURS_PROFILES with their date range read, once per run;
+  // profiles with unreadable dates are skipped
+  static loadHoursProfiles() {
+    const source = CONFIG.WORKING_HOURS_PROFILES || [];
+    if (DateCalculator.hoursProfiles && DateCalculator.hoursSource === source) {
+      return DateCalculator.hoursProfiles;
+    }
+
+    DateCalculator.hoursSource = source;
+    DateCalculator.hoursProfiles = source
+      .map((profile) => {
+        const from = profile.FROM
+          ? HolidayCalendar.parseDate(profile.FROM)
+          : null;
+        const to = profile.TO ? HolidayCalendar.parseDate(profile.TO) : null;
+        if (!from || !to || to < from) {
+          Utils.log(
+            `Working hours profile "${profile.NAME}": cannot read dates ${profile.FROM} to ${profile.TO}, skipped`,
+            "WARN"
+          );
+          return null;
+        }
+        return {
+          ...profile,
+          fromKey: HolidayCalendar.dateKey(from),
+          toKey: HolidayCalendar.dateKey(to),
+        };
+      })
+      .filter((profile) => profile);
+    return DateCalculator.hoursProfiles;
+  }
+
+  // Merchandiser override first, then the state's weekend pattern
+  static getConfiguredWorkWeek() {
+    const profile = CONFIG.MERCHANDISER;
+    return (
+      profile.WORK_WEEK ||
+      CONFIG.WORK_WEEK.BY_STATE[profile.STATE] ||
+      CONFIG.WORK_WEEK.DEFAULT
+    );
+  }
+
+  // Accepts a range "SUN-THU" (may wrap past Saturday) or a list "SUN,MON,TUE";
+  // returns day numbers in working order, falling back to MON-FRI if unreadable
+  static parseWorkWeek(text) {
+    const days = DateCalculator.parseDayList(text);
+    if (!days) {
+      Utils.log(`Unknown work week "${text}", using MON-FRI`, "WARN");
+      return [1, 2, 3, 4, 5];
+    }
+    return days;
+  }
+
+  // Shared by work weeks and store visit days; null if unreadable
+  static parseDayList(text) {
+    const dayCodes = DateCalculator.getDayCodes();
+    const toDay = (code) => dayCodes.indexOf(code.trim().substring(0, 3));
+    const value = (text || "").toString().toUpperCase().trim();
+    let days = [];
+
+    const range = value.match(/^([A-Z]+)\s*-\s*([A-Z]+)$/);
+    if (range) {
+      const first = toDay(range[1]);
+      const last = toDay(range[2]);
+      if (first >= 0 && last >= 0) {
+        for (let day = first; ; day = (day + 1) % 7) {
+          days.push(day);
+          if (day === last) break;
+        }
+      }
+    } else {
+      days = value.split(/[,\/]/).map(toDay);
+    }
+
+    if (days.length === 0 || days.some((day) => day < 0)) return null;
+    return days;
+  }
+
+  static formatDayList(days) {
+    const dayCodes = DateCalculator.getDayCodes();
+    return days.map((day) => dayCodes[day]).join(",");
+  }
+
+  static getDayCodes() {
+    return ["SUN", "MON", "TUE", "WED", "THU", "FRI", "SAT"];
+  }
+
+  // Without a chosen month the current month is planned
+  static getDefaultTargetMonth() {
+    const today = new Date();
+    return { month: today.getMonth(), year: today.getFullYear() };
+  }
+
+  // Accepts "MM/YYYY", "YYYY-MM" or "January 2026"; returns null if unreadable
+  static parseTargetMonth(text) {
+    const value = (text || "").toString().trim();
+    let month = -1;
+    let year = NaN;
+
+    const numeric = value.match(/^(\d{1,2})\s*[\/\-]\s*(\d{4})$/);
+    const iso = value.match(/^(\d{4})\s*-\s*(\d{1,2})$/);
+    const named = value.match(/^([A-Za-z]+)\s+(\d{4})$/);
+
+    if (numeric) {
+      month = parseInt(numeric[1]) - 1;
+      year = parseInt(numeric[2]);
+    } else if (iso) {
+      month = parseInt(iso[2]) - 1;
+      year = parseInt(iso[1]);
+    } else if (named) {
+      const prefix = named[1].substring(0, 3).toLowerCase();
+      month = DateCalculator.getMonthNames().findIndex(
+        (name) => name.substring(0, 3).toLowerCase() === prefix
+      );
+      year = parseInt(named[2]);
+    }
+
+    if (month < 0 || month > 11 || isNaN(year)) return null;
+    return { month, year };
+  }
 }
@@ -0,0 +1,98 @@
+// ==================== DAY BLOCKS - MEETINGS, TRAINING AND OFFICE TIME ====================
+class DayBlocks {
+  constructor(ss, options = {}) {
+    this.ss = ss;
+    this.merchandiserId = options.merchandiserId || CONFIG.MERCHANDISER.ID;
+    this.entries = null; // Loaded lazily: { rule, block } per sheet row
+  }
+
+  // Read the sheet once:
+  // Date | Applies To | From | To | Description | Location | Lat | Lng
+  // Date is a date, weekdays ("WED") or "LAST FRI" for the month's last Friday
+  loadEntries() {
+    if (this.entries) return this.entries;
+
+    this.entries = [];
+    const rows = HolidayCalendar.readRows(
+      this.ss,
+      CONFIG.DAY_BLOCKS.SHEET_NAME,
+      8
+    );
+    rows.forEach((row, idx) => {
+      const [rawDate, appliesTo, from, to, description, place, lat, lng] = row;
+      if (
+        !rawDate ||
+        !HolidayCalendar.isForMerchandiser(appliesTo, this.merchandiserId)
+      ) {
+        return;
+      }
+
+      const rowNumber = idx + 2;
+      const rule = this.parseDateRule(rawDate);
+      const start = Utils.parseClockTime(from);
+      const end = Utils.parseClockTime(to);
+      if (!rule || start === null || end === null || end <= start) {
+        Utils.log(
+          `Day block row ${rowNumber}: cannot read "${rawDate}" ${from}-${to}, skipped`,
+          "WARN"
+        );
+        return;
+      }
+
+      const location = HolidayCalendar.parseLocation(
+        [place, lat, lng],
+        "Block",
+        `Day block row ${rowNumber}`
+      );
+      this.entries.push({
+        rule,
+        block: {
+          name: (description || "Blocked").toString().trim(),
+          start,
+          end,
+          location,
+        },
+      });
+    });
+
+    Utils.log(
+      `Day blocks loaded: ${this.entries.length} entries apply`,
+      "INFO"
+    );
+    return this.entries;
+  }
+
+  // Blocks on a date in time order, cut to the day's working window
+  getForDate(date, workStart = CONFIG.WORK.START, workEnd = CONFIG.WORK.END) {
+    return this.loadEntries()
+      .filter(({ rule }) => this.matchesDate(rule, date))
+      .map(({ block }) => ({
+        ...block,
+        start: Math.max(block.start, workStart),
+        end: Math.min(block.end, workEnd),
+      }))
+      .filter((block) => block.end > block.start)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  matchesDate(rule, date) {
+    if (rule.dateKey) return rule.dateKey === HolidayCalendar.dateKey(date);
+    if (!rule.weekdays.includes(date.getDay())) return false;
+
+    // "LAST" means no later same weekday in this month
+    if (!rule.last) return true;
+    const nextWeek = new Date(date);
+    nextWeek.setDate(date.getDate() + 7);
+    return nextWeek.getMonth() !== date.getMonth();
+  }
+
+  parseDateRule(value) {
+    const date = HolidayCalendar.parseDate(value);
+    if (date) return { dateKey: HolidayCalendar.dateKey(date) };
+
+    const text = value.toString().trim().toUpperCase();
+    const last = text.match(/^LAST\s+(.+)$/);
+    const weekdays = DateCalculator.parseDayList(last ? last[1] : text);
+    return weekdays ? { weekdays, last: !!last } : null;
+  }
+}
@@ -0,0 +1,74 @@
+// ==================== DAY LOCATIONS - START AND END OVERRIDES ====================
+class DayLocations {
+  constructor(ss, options = {}) {
+    this.ss = ss;
+    this.merchandiserId = options.merchandiserId || CONFIG.MERCHANDISER.ID;
+    this.byDate = null; // yyyy-mm-dd -> { start, end }, loaded lazily
+    this.byWeekday = null; // day number -> { start, end }
+  }
+
+  // Read the sheet once:
+  // Date | Applies To | Start | Start Lat | Start Lng | End | End Lat | End Lng
+  // Date is a date or weekdays ("MON" for every Monday); dates win.
+  loadEntries() {
+    if (this.byDate) return;
+
+    this.byDate = new Map();
+    this.byWeekday = new Map();
+    const rows = HolidayCalendar.readRows(
+      this.ss,
+      CONFIG.DAY_LOCATIONS.SHEET_NAME,
+      8
+    );
+    if (rows.length === 0) return;
+    let applied = 0;
+
+    rows.forEach((row, idx) => {
+      const [rawDate, appliesTo, ...points] = row;
+      if (
+        !rawDate ||
+        !HolidayCalendar.isForMerchandiser(appliesTo, this.merchandiserId)
+      ) {
+        return;
+      }
+
+      const rowLabel = `Day location row ${idx + 2}`;
+      const entry = {
+        start: HolidayCalendar.parseLocation(
+          points.slice(0, 3),
+          "Start",
+          rowLabel
+        ),
+        end: HolidayCalendar.parseLocation(points.slice(3, 6), "End", rowLabel),
+      };
+      if (!entry.start && !entry.end) return;
+
+      const date = HolidayCalendar.parseDate(rawDate);
+      const weekdays = date ? null : DateCalculator.parseDayList(rawDate);
+      if (date) {
+        this.byDate.set(HolidayCalendar.dateKey(date), entry);
+      } else if (weekdays) {
+        weekdays.forEach((day) => this.byWeekday.set(day, entry));
+      } else {
+        Utils.log(
+          `${rowLabel}: cannot read date "${rawDate}", skipped`,
+          "WARN"
+        );
+        return;
+      }
+      applied++;
+    });
+
+    Utils.log(`Day locations loaded: ${applied} entries apply`, "INFO");
+  }
+
+  // { start, end } for a date (either may be null), or null for a normal day
+  getForDate(date) {
+    this.loadEntries();
+    return (
+      this.byDate.get(HolidayCalendar.dateKey(date)) ||
+      this.byWeekday.get(date.getDay()) ||
+      null
+    );
+  }
+}
@@ -0,0 +1,65 @@
+// ==================== DBSCAN CLUSTERER - DENSE STORE POCKETS ====================
+class DbscanClusterer {
+  constructor(radiusKm, minStores) {
+    this.radiusKm = radiusKm; // Neighbours are at most this far apart
+    this.minStores = minStores; // Neighbours (itself included) to be a core
+  }
+
+  // Clusters grow from core store to core store, taking in the border stores
+  // around them; stores no core reaches are noise. Cluster sizes are not
+  // limited here.
+  cluster(stores) {
+    const labels = stores.map(() => undefined); // Cluster index, -1 = noise
+    const clusters = [];
+
+    stores.forEach((store, idx) => {
+      if (labels[idx] !== undefined) return;
+
+      const neighbours = this.getNeighbours(stores, idx);
+      if (neighbours.length < this.minStores) {
+        labels[idx] = -1;
+        return;
+      }
+
+      const clusterIdx = clusters.length;
+      const members = [store];
+      clusters.push(members);
+      labels[idx] = clusterIdx;
+
+      const queue = neighbours.filter((other) => other !== idx);
+      while (queue.length > 0) {
+        const next = queue.shift();
+        if (labels[next] === -1) {
+          // Border store: joins the cluster but does not extend it
+          labels[next] = clusterIdx;
+          members.push(stores[next]);
+        }
+        if (labels[next] !== undefined) continue;
+
+        labels[next] = clusterIdx;
+        members.push(stores[next]);
+        const reach = this.getNeighbours(stores, next);
+        if (reach.length >= this.minStores) queue.push(...reach);
+      }
+    });
+
+    return {
+      clusters,
+      noise: stores.filter((_, idx) => labels[idx] === -1),
+    };
+  }
+
+  getNeighbours(stores, idx) {
+    const origin = stores[idx];
+    const neighbours = [];
+    stores.forEach((store, other) => {
+      if (
+        Utils.distance(origin.lat, origin.lng, store.lat, store.lng) <=
+        this.radiusKm
+      ) {
+        neighbours.push(other);
+      }
+    });
+    return neighbours;
+  }
+}
@@ -0,0 +1,167 @@
+// ==================== HOLIDAY & LEAVE CALENDAR ====================
+class HolidayCalendar {
+  constructor(ss, options = {}) {
+    this.ss = ss;
+    this.state = options.state || CONFIG.MERCHANDISER.STATE;
+    this.merchandiserId = options.merchandiserId || CONFIG.MERCHANDISER.ID;
+    this.entries = null; // Loaded lazily, keyed by yyyy-mm-dd
+  }
+
+  // Read the holiday sheet once: Date | Description | Scope | Applies To | Duration
+  loadEntries() {
+    if (this.entries) return this.entries;
+
+    this.entries = new Map();
+    const sheet = this.ss
+      ? this.ss.getSheetByName(CONFIG.HOLIDAYS.SHEET_NAME)
+      : null;
+
+    if (!sheet) {
+      Utils.log(
+        `No "${CONFIG.HOLIDAYS.SHEET_NAME}" sheet found - planning without holidays`,
+        "INFO"
+      );
+      return this.entries;
+    }
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return this.entries;
+
+    const rows = sheet.getRange(2, 1, lastRow - 1, 5).getValues();
+    let applied = 0;
+
+    rows.forEach((row, idx) => {
+      const [rawDate, description, rawScope, appliesTo, rawDuration] = row;
+      if (!rawDate) return;
+
+      const date = HolidayCalendar.parseDate(rawDate);
+      if (!date) {
+        Utils.log(
+          `Holiday row ${idx + 2}: cannot read date "${rawDate}", skipped`,
+          "WARN"
+        );
+        return;
+      }
+
+      const scope = (rawScope || "NATIONAL").toString().trim().toUpperCase();
+      if (!this.appliesToMerchandiser(scope, appliesTo)) return;
+
+      const duration = (rawDuration || "FULL").toString().trim().toUpperCase();
+      const entry = {
+        date: date,
+        name: description || (scope === "MERCHANDISER" ? "Leave" : "Holiday"),
+        scope: scope,
+        isHalfDay: duration === "HALF",
+      };
+
+      // A full day off always wins over a half day on the same date
+      const key = HolidayCalendar.dateKey(date);
+      const existing = this.entries.get(key);
+      if (!existing || (existing.isHalfDay && !entry.isHalfDay)) {
+        this.entries.set(key, entry);
+      }
+      applied++;
+    });
+
+    Utils.log(
+      `Holiday calendar loaded: ${applied} entries apply (state: ${
+        this.state || "-"
+      }, merchandiser: ${this.merchandiserId || "-"})`,
+      "INFO"
+    );
+    return this.entries;
+  }
+
+  // Returns the holiday/leave entry for a date, or null for a normal day
+  getDayOff(date) {
+    return this.loadEntries().get(HolidayCalendar.dateKey(date)) || null;
+  }
+
+  appliesToMerchandiser(scope, appliesTo) {
+    const targets = HolidayCalendar.parseTargets(appliesTo);
+
+    if (scope === "NATIONAL") return true;
+    if (scope === "STATE") {
+      return !!this.state && targets.includes(this.state.toUpperCase());
+    }
+    if (scope === "MERCHANDISER") {
+      return (
+        !!this.merchandiserId &&
+        targets.includes(this.merchandiserId.toString().toUpperCase())
+      );
+    }
+
+    Utils.log(`Unknown holiday scope "${scope}", entry ignored`, "WARN");
+    return false;
+  }
+
+  // Sheet reading shared with DayLocations and DayBlocks, whose sheets use
+  // the same Date and Applies To columns
+
+  // Data rows below the header, or none when the sheet is missing or empty
+  static readRows(ss, sheetName, columns) {
+    const sheet = ss ? ss.getSheetByName(sheetName) : null;
+    if (!sheet || sheet.getLastRow() < 2) return [];
+    return sheet.getRange(2, 1, sheet.getLastRow() - 1, columns).getValues();
+  }
+
+  // "Applies To" list, upper-cased
+  static parseTargets(appliesTo) {
+    return (appliesTo || "")
+      .toString()
+      .split(",")
+      .map((t) => t.trim().toUpperCase())
+      .filter((t) => t);
+  }
+
+  // Blank "Applies To" means everyone
+  static isForMerchandiser(appliesTo, merchandiserId) {
+    const targets = HolidayCalendar.parseTargets(appliesTo);
+    return (
+      targets.length === 0 ||
+      (!!merchandiserId &&
+        targets.includes(merchandiserId.toString().toUpperCase()))
+    );
+  }
+
+  // Name | Lat | Lng -> travel point; blank coordinates mean no point
+  static parseLocation([name, rawLat, rawLng], label, rowLabel) {
+    if (rawLat === "" && rawLng === "") return null;
+
+    const lat = parseFloat(rawLat);
+    const lng = parseFloat(rawLng);
+    if (isNaN(lat) || isNaN(lng)) {
+      Utils.log(
+        `${rowLabel}: cannot read ${label.toLowerCase()} coordinates, ignored`,
+        "WARN"
+      );
+      return null;
+    }
+
+    return { lat, lng, locationName: (name || label).toString().trim() };
+  }
+
+  static parseDate(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime())
+        ? null
+        : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    }
+
+    const text = value.toString().trim();
+    const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (iso) return new Date(+iso[1], +iso[2] - 1, +iso[3]);
+
+    // Local sheets use dd/mm/yyyy
+    const local = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (local) return new Date(+local[3], +local[2] - 1, +local[1]);
+
+    return null;
+  }
+
+  static dateKey(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, "0");
+    const day = date.getDate().toString().padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+}
@@ -1,6 +1,8 @@
 // ==================== INTELLIGENT DAY OPTIMIZER - AREA-BASED CONSOLIDATION ====================
 class IntelligentDayOptimizer {
-  static optimizeWorkingDays(workingDays) {
+  // excludedNoStrs: stores that may not be used as fillers (e.g. another
+  // merchandiser's in a team plan)
+  static optimizeWorkingDays(workingDays, excludedNoStrs = null) {
     Utils.log("=== STARTING INTELLIGENT DAY OPTIMIZATION ===", "INFO");
 
     const optimizationResult = {
@@ -20,7 +22,7 @@ class IntelligentDayOptimizer {
     );
 
     // Step 2: Get available filler stores (P2, P3) grouped by area
-    const fillerStores = this.getAreaGroupedFillerStores();
+    const fillerStores = this.getAreaGroupedFillerStores(excludedNoStrs);
     Utils.log(
       `📦 Available filler stores: P2=${fillerStores.P2.length}, P3=${fillerStores.P3.length}`,
       "INFO"
@@ -79,7 +81,7 @@ class IntelligentDayOptimizer {
           centerPoint: this.calculateDayCenter(dayInfo.optimizedStores),
           averageArea: this.calculateDayArea(dayInfo.optimizedStores),
           storesNeeded: Math.max(0, minOptimalStores - storeCount),
-          capacity: maxOptimalStores - storeCount,
+          capacity: Utils.getDayCapacity(dayInfo) - storeCount,
         };
 
         if (storeCount === 0) {
@@ -116,10 +118,10 @@ class IntelligentDayOptimizer {
   }
 
   // Step 2: Get filler stores grouped by geographic area
-  static getAreaGroupedFillerStores() {
+  static getAreaGroupedFillerStores(excludedNoStrs = null) {
     const fillerStores = {
-      P2: this.loadFillerStoresByPriority("P2"),
-      P3: this.loadFillerStoresByPriority("P3"),
+      P2: this.loadFillerStoresByPriority("P2", excludedNoStrs),
+      P3: this.loadFillerStoresByPriority("P3", excludedNoStrs),
     };
 
     // Group by geographic clusters
@@ -130,14 +132,13 @@ class IntelligentDayOptimizer {
   }
 
   // Load filler stores for a specific priority
-  static loadFillerStoresByPriority(priority) {
+  static loadFillerStoresByPriority(priority, excludedNoStrs = null) {
     Utils.log(`🔍 Loading ${priority} filler stores...`, "INFO");
 
     try {
-      const ss = SpreadsheetApp.getActiveSpreadsheet();
-      const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+      const repository = StoreRepository.forActiveSheet();
 
-      if (!sheet) {
+      if (!repository) {
         Utils.log(`❌ Sheet not found for ${priority} store loading`, "ERROR");
         return [];
       }
@@ -155,37 +156,30 @@ class IntelligentDayOptimizer {
       }
 
       const stores = [];
-      const col = priorityConfig.startCol;
-      const lastRow = sheet.getLastRow();
 
-      for (let row = 4; row <= lastRow; row++) {
+      for (const record of repository.getRows(priority)) {
+        const { row, noStr, lat, lng } = record;
         try {
-          const shouldVisit = sheet.getRange(row, col + 11).getValue();
-          if (shouldVisit !== "YES" && shouldVisit !== true) continue;
-
-          const name = sheet.getRange(row, col + 1).getValue();
-          if (!name) continue;
-
-          const noStr = sheet.getRange(row, col).getValue() || "";
-          const lat = parseFloat(sheet.getRange(row, col + 6).getValue());
-          const lng = parseFloat(sheet.getRange(row, col + 7).getValue());
-
           if (isNaN(lat) || isNaN(lng)) continue;
+          if (excludedNoStrs && excludedNoStrs.has(noStr)) continue;
 
           const store = {
             priority: priority,
             noStr: noStr,
-            name: name,
-            retailer: sheet.getRange(row, col + 2).getValue() || "",
-            district: sheet.getRange(row, col + 3).getValue() || "Unknown",
-            address: sheet.getRange(row, col + 5).getValue() || "",
+            name: record.name,
+            retailer: record.retailer,
+            district: record.district,
+            address: record.address,
             lat: lat,
             lng: lng,
-            salesL6M: parseFloat(sheet.getRange(row, col + 8).getValue()) || 0,
+            salesL6M: record.salesL6M,
             baseFrequency: priorityConfig.requiredVisits,
             actualVisits: 1,
             visits: 1,
-            visitTime: CONFIG.DEFAULT_VISIT_TIME,
+            visitTime: Utils.resolveVisitTime(record, priority),
+            openTime: record.openTime,
+            closeTime: record.closeTime,
+            allowedDays: record.allowedDays,
             isFillerStore: true,
             visitId: `${noStr}_FILLER_${priority}`,
             loadedFromRow: row,
@@ -614,20 +608,15 @@ class IntelligentDayOptimizer {
     const week = workingDays[dayData.weekIndex];
     const dayInfo = week[dayData.dayIndex];
 
-    if (!dayInfo.optimizedStores) {
-      dayInfo.optimizedStores = [];
-    }
-
-    // Create detailed route entries for new stores
-    const detailedStores = this.createDetailedRoute(
-      newStores,
-      dayInfo,
-      dayInfo.optimizedStores.length
+    // Re-optimize the entire day route
+    const sequenced = RouteImprover.sequence(
+      [...(dayInfo.optimizedStores || []), ...newStores],
+      dayInfo
     );
-    dayInfo.optimizedStores.push(...detailedStores);
 
-    // Re-optimize the entire day route
-    dayInfo.optimizedStores = this.optimizeDayRoute(dayInfo.optimizedStores);
+    // Re-time every visit in the new order, starting from the day start
+    dayInfo.optimizedStores = [];
+    dayInfo.optimizedStores = this.createDetailedRoute(sequenced, dayInfo);
   }
 
   // Helper: Create detailed route for added stores
@@ -635,44 +624,51 @@ class IntelligentDayOptimizer {
     if (!stores || stores.length === 0) return [];
 
     const route = [];
-    let currentTime = CONFIG.WORK.START;
-    let currentLat = CONFIG.START.LAT;
-    let currentLng = CONFIG.START.LNG;
+    let currentTime = Utils.getWorkStart(dayInfo);
+    let current = TravelProvider.start(dayInfo);
 
     // If there are existing stores, start from the last store
     if (dayInfo.optimizedStores && dayInfo.optimizedStores.length > 0) {
       const lastStore =
         dayInfo.optimizedStores[dayInfo.optimizedStores.length - 1];
       currentTime = lastStore.departTime || currentTime;
-      currentLat = lastStore.lat;
-      currentLng = lastStore.lng;
+      current = lastStore;
     }
 
-    const isFriday = dayInfo.isFriday || false;
-    const breakStart = isFriday
-      ? CONFIG.FRIDAY_PRAYER.START
-      : CONFIG.LUNCH.START;
-    const breakEnd = isFriday ? CONFIG.FRIDAY_PRAYER.END : CONFIG.LUNCH.END;
-    let hasBreak = currentTime > breakEnd;
+    stores = TimeWindowSequencer.sequence(stores, dayInfo, {
+      time: currentTime,
+      point: current,
+    });
+
+    const breakWindow = Utils.getBreakWindow(dayInfo);
+    const workEnd = Utils.getWorkEnd(dayInfo);
+    let hasBreak = !breakWindow || currentTime > breakWindow.end;
 
     stores.forEach((store, index) => {
-      const distance = Utils.distance(
-        currentLat,
-        currentLng,
-        store.lat,
-        store.lng
-      );
-      const travelTime = Math.round(distance * 3); // 3 min per km
+      // Meetings or office time the visit would run into come first
+      const due = Utils.attendBlocks(dayInfo, currentTime, current, store);
+      currentTime = due.time;
+      current = due.point;
+
+      const leg = TravelProvider.leg(current, store, currentTime, dayInfo);
+      const distance = leg.km;
+      const travelTime = leg.minutes;
 
       currentTime += travelTime;
 
       // Handle break
-      if (!hasBreak && currentTime >= breakStart && currentTime < breakEnd) {
-        currentTime = breakEnd;
+      if (
+        !hasBreak &&
+        currentTime >= breakWindow.start &&
+        currentTime < breakWindow.end
+      ) {
+        currentTime = breakWindow.end;
         hasBreak = true;
       }
 
-      const arrivalTime = currentTime;
+      // Wait outside if the store has not opened yet
+      const arrivalTime = Utils.getVisitStart(store, currentTime);
+      const waitTime = arrivalTime - currentTime;
       const visitDuration =
         CONFIG.BUFFER_TIME + (store.visitTime || CONFIG.DEFAULT_VISIT_TIME);
       const departTime = arrivalTime + visitDuration;
@@ -684,55 +680,18 @@ class IntelligentDayOptimizer {
         duration: travelTime,
         arrivalTime: arrivalTime,
         departTime: departTime,
-        timeWarning: departTime > CONFIG.WORK.END,
-        isAfter6PM: departTime > CONFIG.WORK.END,
+        waitTime: waitTime,
+        blocksBefore: due.blocks,
+        timeWarning: departTime > workEnd,
+        isAfter6PM: departTime > workEnd,
+        windowViolation: Utils.missesTimeWindow(store, arrivalTime),
       });
 
       currentTime = departTime;
-      currentLat = store.lat;
-      currentLng = store.lng;
-    });
-
-    return route;
-  }
-
-  // Helper: Optimize day route using nearest neighbor
-  static optimizeDayRoute(stores) {
-    if (!stores || stores.length <= 2) return stores;
-
-    // Simple nearest neighbor optimization
-    const optimized = [];
-    const remaining = [...stores];
-    let current = { lat: CONFIG.START.LAT, lng: CONFIG.START.LNG };
-
-    while (remaining.length > 0) {
-      let nearestIndex = 0;
-      let minDistance = Infinity;
-
-      remaining.forEach((store, index) => {
-        const distance = Utils.distance(
-          current.lat,
-          current.lng,
-          store.lat,
-          store.lng
-        );
-        if (distance < minDistance) {
-          minDistance = distance;
-          nearestIndex = index;
-        }
-      });
-
-      const nearest = remaining.splice(nearestIndex, 1)[0];
-      optimized.push(nearest);
-      current = nearest;
-    }
-
-    // Update order numbers
-    optimized.forEach((store, index) => {
-      store.order = index + 1;
+      current = store;
     });
 
-    return optimized;
+    return Utils.addReturnLeg(route, dayInfo);
   }
 
   // Helper functions for calculations
@@ -1,6 +1,12 @@
 // ==================== LAYERED PRIORITY OPTIMIZER - YOUR ALGORITHM ====================
 class LayeredPriorityOptimizer {
-  static optimizeWorkingDays(workingDays) {
+  // excludedNoStrs: stores the P2/P3 fillers may not take (in a team plan,
+  // other merchandisers' territories and plans)
+  static optimizeWorkingDays(
+    workingDays,
+    visitHistory = null,
+    excludedNoStrs = null
+  ) {
     Utils.log("=== STARTING LAYERED PRIORITY OPTIMIZATION ===", "INFO");
 
     const optimizationResult = {
@@ -17,9 +23,19 @@ class LayeredPriorityOptimizer {
         duplicatesRemoved: 0,
         daysCombined: 0,
       },
-      phase4_final: { timeViolations: 0, storesRemoved: 0, finalDaysCount: 0 },
+      phase4_final: {
+        timeViolations: 0,
+        distanceViolations: 0,
+        storesRemoved: 0,
+        finalDaysCount: 0,
+      },
+      droppedStores: [], // Required visits that no longer fit any day
     };
 
+    // P1-P3 days are rebuilt below; other selected visits (P4 and up, and
+    // the marginal tier) are taken off first so they can be put back
+    const carriedStores = this.collectCarriedStores(workingDays);
+
     // STEP 1: Map P1 stores by area and remove duplicates
     Utils.log("🎯 PHASE 1: Processing P1 stores by area", "INFO");
     const p1Result = this.processP1StoresByArea(workingDays);
@@ -33,13 +49,23 @@ class LayeredPriorityOptimizer {
     );
     optimizationResult.phase1_p1.daysCombined = p1CombineResult.daysCombined;
 
+    // STEP 2B: Put back the other selected visits before any filler
+    Utils.log("📌 PHASE 1C: Placing other selected visits", "INFO");
+    const carriedResult = this.placeCarriedStores(workingDays, carriedStores);
+    optimizationResult.phase1_p1.carriedPlaced = carriedResult.storesPlaced;
+
     // STEP 3: Create initial day analysis with time tracking
     Utils.log("⏰ PHASE 2A: Analyzing day capacity and timing", "INFO");
     const dayAnalysis = this.analyzeDayCapacityAndTiming(workingDays);
 
     // STEP 4: Process P2 stores
     Utils.log("🎯 PHASE 2: Processing P2 stores by area", "INFO");
-    const p2Result = this.processP2StoresByArea(workingDays, dayAnalysis);
+    const p2Result = this.processP2StoresByArea(
+      workingDays,
+      dayAnalysis,
+      visitHistory,
+      excludedNoStrs
+    );
     optimizationResult.phase2_p2 = p2Result;
 
     // STEP 5: Remove duplicates and combine days after P2
@@ -51,7 +77,12 @@ class LayeredPriorityOptimizer {
 
     // STEP 6: Process P3 stores
     Utils.log("🎯 PHASE 3: Processing P3 stores by area", "INFO");
-    const p3Result = this.processP3StoresByArea(workingDays, dayAnalysis);
+    const p3Result = this.processP3StoresByArea(
+      workingDays,
+      dayAnalysis,
+      visitHistory,
+      excludedNoStrs
+    );
     optimizationResult.phase3_p3 = p3Result;
 
     // STEP 7: Remove duplicates and combine days after P3
@@ -61,11 +92,20 @@ class LayeredPriorityOptimizer {
       p3DedupeResult.duplicatesRemoved;
     optimizationResult.phase3_p3.daysCombined += p3DedupeResult.daysCombined;
 
+    // Each mall's stores on one day, before the days are timed
+    MallGrouper.keepOnSameDay(workingDays);
+
     // STEP 8: Final time validation and trimming
     Utils.log("⏰ PHASE 4: Final time validation and trimming", "INFO");
     const finalResult = this.finalTimeValidationAndTrimming(workingDays);
     optimizationResult.phase4_final = finalResult;
 
+    optimizationResult.droppedStores = [
+      ...p1Result.droppedStores,
+      ...carriedResult.droppedStores,
+      ...finalResult.droppedStores,
+    ];
+
     this.logOptimizationSummary(optimizationResult);
     Utils.log("=== LAYERED PRIORITY OPTIMIZATION COMPLETED ===", "INFO");
 
@@ -80,6 +120,7 @@ class LayeredPriorityOptimizer {
       daysCreated: 0,
       storesPlaced: 0,
       duplicatesRemoved: 0,
+      droppedStores: [],
     };
 
     // Collect all P1 stores from current working days
@@ -106,12 +147,18 @@ class LayeredPriorityOptimizer {
 
     // Assign P1 area groups to days
     let dayIndex = 0;
+    const misplaced = []; // P1 stores not allowed on their area's day
     p1AreaGroups.forEach((areaGroup, groupIndex) => {
       if (dayIndex >= this.getTotalAvailableDays(workingDays)) {
         Utils.log(
-          `⚠️ Ran out of available days, skipping remaining P1 groups`,
+          `⚠️ Ran out of available days, skipping P1 area ${groupIndex + 1} (${
+            areaGroup.stores.length
+          } stores)`,
           "WARN"
         );
+        result.droppedStores.push(
+          ...Utils.markUnscheduled(areaGroup.stores, "No working day left")
+        );
         return;
       }
 
@@ -121,12 +168,19 @@ class LayeredPriorityOptimizer {
           targetDay.optimizedStores = [];
         }
 
+        const allowedStores = areaGroup.stores.filter((store) =>
+          Utils.isDayAllowed(store, targetDay)
+        );
+        misplaced.push(
+          ...areaGroup.stores.filter((store) => !allowedStores.includes(store))
+        );
+
         // Add stores with basic routing
-        const routedStores = this.createBasicRoute(areaGroup.stores, targetDay);
+        const routedStores = this.createBasicRoute(allowedStores, targetDay);
         targetDay.optimizedStores.push(...routedStores);
 
         result.daysCreated++;
-        result.storesPlaced += areaGroup.stores.length;
+        result.storesPlaced += allowedStores.length;
 
         Utils.log(
           `Assigned Area ${groupIndex + 1} (${
@@ -138,6 +192,117 @@ class LayeredPriorityOptimizer {
       }
     });
 
+    misplaced.forEach((store) => {
+      const targetDay = this.findAllowedDay(store, workingDays);
+      if (targetDay) {
+        targetDay.optimizedStores = targetDay.optimizedStores || [];
+        targetDay.optimizedStores.push(
+          ...this.createBasicRoute(
+            [store],
+            targetDay,
+            targetDay.optimizedStores.length
+          )
+        );
+        result.storesPlaced++;
+      } else {
+        Utils.log(
+          `⚠️ No allowed day with room for P1 store ${store.noStr}`,
+          "WARN"
+        );
+        result.droppedStores.push(
+          ...Utils.markUnscheduled([store], "No allowed visit day with room")
+        );
+      }
+    });
+
+    return result;
+  }
+
+  // Planned visits the P1-P3 phases do not load again: priorities past P3,
+  // and marginal-tier stores, which the P2/P3 fillers would replace
+  static collectCarriedStores(workingDays) {
+    const layered = ["P1", "P2", "P3"];
+    const stores = [];
+    workingDays.forEach((week) =>
+      week.forEach((dayInfo) =>
+        (dayInfo.optimizedStores || []).forEach((store) => {
+          if (store.isMarginal || !layered.includes(store.priority)) {
+            stores.push(store);
+          }
+        })
+      )
+    );
+    return this.removeDuplicateStores(stores, "Carried");
+  }
+
+  static collectPlannedNoStrs(workingDays) {
+    const noStrs = new Set();
+    workingDays.forEach((week) =>
+      week.forEach((dayInfo) =>
+        (dayInfo.optimizedStores || []).forEach((store) =>
+          noStrs.add(store.noStr)
+        )
+      )
+    );
+    return noStrs;
+  }
+
+  // STEP 2B: Carried visits go to nearby days with room first, then to any
+  // allowed day; the rest are reported unscheduled
+  static placeCarriedStores(workingDays, stores) {
+    const result = { storesPlaced: 0, droppedStores: [] };
+    if (stores.length === 0) return result;
+
+    const dayAnalysis = this.analyzeDayCapacityAndTiming(workingDays);
+    const leftovers = [];
+    this.groupStoresByArea(stores, "Carried").forEach((areaGroup) => {
+      this.findCompatibleDays(areaGroup, dayAnalysis).forEach((dayData) => {
+        const selectedStores = this.takeStoresForDay(areaGroup, dayData);
+        if (selectedStores.length === 0) return;
+
+        dayData.dayInfo.optimizedStores.push(
+          ...this.createBasicRoute(
+            selectedStores,
+            dayData.dayInfo,
+            dayData.currentStores
+          )
+        );
+        dayData.currentStores += selectedStores.length;
+        dayData.estimatedEndTime = this.estimateEndTime(
+          dayData.dayInfo.optimizedStores,
+          dayData.dayInfo
+        );
+        dayData.availableCapacity -= selectedStores.length;
+        result.storesPlaced += selectedStores.length;
+      });
+      leftovers.push(...areaGroup.stores);
+    });
+
+    leftovers.forEach((store) => {
+      const targetDay = this.findAllowedDay(store, workingDays);
+      if (!targetDay) {
+        result.droppedStores.push(
+          ...Utils.markUnscheduled(
+            [store],
+            "No day with room after P1-P3 consolidation"
+          )
+        );
+        return;
+      }
+      targetDay.optimizedStores.push(
+        ...this.createBasicRoute(
+          [store],
+          targetDay,
+          targetDay.optimizedStores.length
+        )
+      );
+      result.storesPlaced++;
+    });
+
+    Utils.log(
+      `Carried: ${result.storesPlaced} of ${stores.length} visits placed`,
+      result.droppedStores.length > 0 ? "WARN" : "INFO"
+    );
     return result;
   }
 
@@ -192,13 +357,22 @@ class LayeredPriorityOptimizer {
         );
 
         const combinedStores = day1.storeCount + day2.storeCount;
-        const estimatedEndTime = this.estimateEndTime(combinedStores);
+        const estimatedEndTime = this.estimateEndTime(
+          [
+            ...(day1.dayInfo.optimizedStores || []),
+            ...(day2.dayInfo.optimizedStores || []),
+          ],
+          day1.dayInfo
+        );
 
         // Check if combining is viable
         if (
           distance <= maxCombineDistance &&
-          combinedStores <= CONFIG.CLUSTERING.MAX_STORES_PER_DAY &&
-          estimatedEndTime <= CONFIG.WORK.END
+          (day2.dayInfo.optimizedStores || []).every((store) =>
+            Utils.isDayAllowed(store, day1.dayInfo)
+          ) &&
+          combinedStores <= Utils.getDayCapacity(day1.dayInfo) &&
+          estimatedEndTime <= Utils.getWorkEnd(day1.dayInfo)
         ) {
           // Combine day2 into day1
           const storesToMove = day2.dayInfo.optimizedStores || [];
@@ -206,8 +380,9 @@ class LayeredPriorityOptimizer {
           day2.dayInfo.optimizedStores = [];
 
           // Re-optimize the combined route
-          day1.dayInfo.optimizedStores = this.optimizeDayRoute(
-            day1.dayInfo.optimizedStores
+          day1.dayInfo.optimizedStores = RouteImprover.sequence(
+            day1.dayInfo.optimizedStores,
+            day1.dayInfo
           );
 
           processed.add(day1.globalIndex);
@@ -240,10 +415,15 @@ class LayeredPriorityOptimizer {
         const currentStores = dayInfo.optimizedStores
           ? dayInfo.optimizedStores.length
           : 0;
-        const estimatedEndTime = this.estimateEndTime(currentStores);
-        const timeCapacity = this.calculateTimeCapacity(estimatedEndTime);
-        const storeCapacity =
-          CONFIG.CLUSTERING.MAX_STORES_PER_DAY - currentStores;
+        const estimatedEndTime = this.estimateEndTime(
+          dayInfo.optimizedStores || [],
+          dayInfo
+        );
+        const timeCapacity = this.calculateTimeCapacity(
+          estimatedEndTime,
+          dayInfo
+        );
+        const storeCapacity = Utils.getDayCapacity(dayInfo) - currentStores;
 
         const dayData = {
           weekIndex,
@@ -275,7 +455,12 @@ class LayeredPriorityOptimizer {
   }
 
   // STEP 4: Process P2 stores by area
-  static processP2StoresByArea(workingDays, dayAnalysis) {
+  static processP2StoresByArea(
+    workingDays,
+    dayAnalysis,
+    visitHistory = null,
+    excludedNoStrs = null
+  ) {
     Utils.log("📍 Processing P2 stores by area...", "INFO");
 
     const result = {
@@ -283,8 +468,13 @@ class LayeredPriorityOptimizer {
       storesAdded: 0,
     };
 
-    // Get available P2 stores
-    const p2Stores = this.loadStoresByPriority("P2");
+    // Get available P2 stores; ones already planned (marginal tier) stay
+    const planned = this.collectPlannedNoStrs(workingDays);
+    const p2Stores = this.loadStoresByPriority(
+      "P2",
+      visitHistory,
+      excludedNoStrs
+    ).filter((store) => !planned.has(store.noStr));
     if (p2Stores.length === 0) {
       Utils.log("No P2 stores available", "INFO");
       return result;
@@ -314,15 +504,10 @@ class LayeredPriorityOptimizer {
       compatibleDays.forEach((compatibleDay) => {
         if (areaGroup.stores.length === 0) return; // All stores used
 
-        const storesToAdd = Math.min(
-          areaGroup.stores.length,
-          compatibleDay.availableCapacity,
-          this.calculateMaxStoresForTimeCapacity(compatibleDay.timeCapacity)
-        );
+        const selectedStores = this.takeStoresForDay(areaGroup, compatibleDay);
+        const storesToAdd = selectedStores.length;
 
         if (storesToAdd > 0) {
-          const selectedStores = areaGroup.stores.splice(0, storesToAdd);
-
           // Add to day with routing
           const routedStores = this.createBasicRoute(
             selectedStores,
@@ -334,7 +519,8 @@ class LayeredPriorityOptimizer {
           // Update day analysis
           compatibleDay.currentStores += storesToAdd;
           compatibleDay.estimatedEndTime = this.estimateEndTime(
-            compatibleDay.currentStores
+            compatibleDay.dayInfo.optimizedStores,
+            compatibleDay.dayInfo
           );
           compatibleDay.availableCapacity -= storesToAdd;
 
@@ -357,7 +543,12 @@ class LayeredPriorityOptimizer {
   }
 
   // STEP 6: Process P3 stores by area (similar to P2)
-  static processP3StoresByArea(workingDays, dayAnalysis) {
+  static processP3StoresByArea(
+    workingDays,
+    dayAnalysis,
+    visitHistory = null,
+    excludedNoStrs = null
+  ) {
     Utils.log("📍 Processing P3 stores by area...", "INFO");
 
     const result = {
@@ -365,8 +556,13 @@ class LayeredPriorityOptimizer {
       storesAdded: 0,
     };
 
-    // Get available P3 stores
-    const p3Stores = this.loadStoresByPriority("P3");
+    // Get available P3 stores; ones already planned (marginal tier) stay
+    const planned = this.collectPlannedNoStrs(workingDays);
+    const p3Stores = this.loadStoresByPriority(
+      "P3",
+      visitHistory,
+      excludedNoStrs
+    ).filter((store) => !planned.has(store.noStr));
     if (p3Stores.length === 0) {
       Utils.log("No P3 stores available", "INFO");
       return result;
@@ -398,15 +594,10 @@ class LayeredPriorityOptimizer {
       compatibleDays.forEach((compatibleDay) => {
         if (areaGroup.stores.length === 0) return;
 
-        const storesToAdd = Math.min(
-          areaGroup.stores.length,
-          compatibleDay.availableCapacity,
-          this.calculateMaxStoresForTimeCapacity(compatibleDay.timeCapacity)
-        );
+        const selectedStores = this.takeStoresForDay(areaGroup, compatibleDay);
+        const storesToAdd = selectedStores.length;
 
         if (storesToAdd > 0) {
-          const selectedStores = areaGroup.stores.splice(0, storesToAdd);
-
           const routedStores = this.createBasicRoute(
             selectedStores,
             compatibleDay.dayInfo,
@@ -416,7 +607,8 @@ class LayeredPriorityOptimizer {
 
           compatibleDay.currentStores += storesToAdd;
           compatibleDay.estimatedEndTime = this.estimateEndTime(
-            compatibleDay.currentStores
+            compatibleDay.dayInfo.optimizedStores,
+            compatibleDay.dayInfo
           );
           compatibleDay.availableCapacity -= storesToAdd;
 
@@ -467,8 +659,10 @@ class LayeredPriorityOptimizer {
 
     const result = {
       timeViolations: 0,
+      distanceViolations: 0,
       storesRemoved: 0,
       finalDaysCount: 0,
+      droppedStores: [],
     };
 
     workingDays.forEach((week, weekIndex) => {
@@ -478,33 +672,50 @@ class LayeredPriorityOptimizer {
 
         result.finalDaysCount++;
 
+        // Fillers were appended to the day; order the full day once more
+        dayInfo.optimizedStores = RouteImprover.improve(
+          dayInfo.optimizedStores,
+          dayInfo
+        );
+
         // Calculate detailed timing for this day
         const detailedRoute = this.createDetailedRoute(
           dayInfo.optimizedStores,
           dayInfo
         );
-        const finalEndTime =
-          detailedRoute.length > 0
-            ? detailedRoute[detailedRoute.length - 1].departTime
-            : CONFIG.WORK.START;
+        const lateHome =
+          Utils.getDayEnd(detailedRoute) > Utils.getWorkEnd(dayInfo);
+        const tooFar = Utils.exceedsDailyDistance(
+          Utils.getDayDistance(detailedRoute)
+        );
 
-        if (finalEndTime > CONFIG.WORK.END) {
-          result.timeViolations++;
+        if (lateHome || tooFar) {
+          if (lateHome) result.timeViolations++;
+          if (tooFar) result.distanceViolations++;
 
-          // Trim stores that cause time violation
-          const trimmedRoute = this.trimStoresForTimeConstraint(
-            detailedRoute,
+          // Drop the least valuable stores until the day fits
+          const trimmed = this.trimStoresForTimeConstraint(
+            dayInfo.optimizedStores,
             dayInfo
           );
-          const removedStores = detailedRoute.length - trimmedRoute.length;
 
-          dayInfo.optimizedStores = trimmedRoute;
-          result.storesRemoved += removedStores;
+          dayInfo.optimizedStores = trimmed.route;
+          result.storesRemoved += trimmed.removed.length;
+
+          // Filler stores were optional; required visits go to unvisited
+          result.droppedStores.push(
+            ...Utils.markUnscheduled(
+              trimmed.removed.filter((store) => !store.isFillerStore),
+              lateHome
+                ? "Day ran past the end of work"
+                : "Day went over the daily distance limit"
+            )
+          );
 
           Utils.log(
-            `⚠️ Time violation in Week ${weekIndex + 1}, ${
-              dayInfo.dayName
-            }: removed ${removedStores} stores`,
+            `⚠️ ${lateHome ? "Time" : "Distance"} violation in Week ${
+              weekIndex + 1
+            }, ${dayInfo.dayName}: removed ${trimmed.removed.length} stores`,
             "WARN"
           );
         } else {
@@ -515,7 +726,7 @@ class LayeredPriorityOptimizer {
     });
 
     Utils.log(
-      `Final validation complete: ${result.timeViolations} violations, ${result.storesRemoved} stores removed`,
+      `Final validation complete: ${result.timeViolations} time and ${result.distanceViolations} distance violations, ${result.storesRemoved} stores removed`,
       "INFO"
     );
     return result;
@@ -591,27 +802,91 @@ class LayeredPriorityOptimizer {
     return groups;
   }
 
-  static estimateEndTime(storeCount) {
-    if (storeCount === 0) return CONFIG.WORK.START;
+  // Each store's own visit time plus a travel allowance, from the day's
+  // start and with its lunch or prayer break
+  static estimateEndTime(stores, dayInfo = null) {
+    const workStart = Utils.getWorkStart(dayInfo);
+    if (!stores || stores.length === 0) return workStart;
+
+    const breakWindow = Utils.getBreakWindow(dayInfo);
+    const breakTime = breakWindow ? breakWindow.end - breakWindow.start : 0;
+    const estimatedWorkTime =
+      stores.reduce(
+        (sum, store) => sum + Utils.estimateStoreMinutes(store),
+        0
+      ) + breakTime;
+
+    return workStart + estimatedWorkTime;
+  }
 
-    const avgTimePerStore = 45; // 30min visit + 15min travel/buffer
-    const breakTime = 60; // Lunch or prayer break
-    const estimatedWorkTime = storeCount * avgTimePerStore + breakTime;
+  static calculateTimeCapacity(currentEndTime, dayInfo = null) {
+    const workEnd = Utils.getWorkEnd(dayInfo);
+    if (currentEndTime >= workEnd) return 0;
 
-    return CONFIG.WORK.START + estimatedWorkTime;
+    const remainingTime = workEnd - currentEndTime;
+    const avgTimePerStore = Utils.estimateStoreMinutes(null);
+
+    return Math.floor(remainingTime / avgTimePerStore);
   }
 
-  static calculateTimeCapacity(currentEndTime) {
-    if (currentEndTime >= CONFIG.WORK.END) return 0;
+  // How many of the candidates (in order) fit in the day's remaining time
+  static countStoresThatFit(candidates, dayData) {
+    const workEnd = Utils.getWorkEnd(dayData.dayInfo);
+    let endTime = dayData.estimatedEndTime;
+    let count = 0;
 
-    const remainingTime = CONFIG.WORK.END - currentEndTime;
-    const avgTimePerStore = 45;
+    for (const store of candidates) {
+      endTime += Utils.estimateStoreMinutes(store);
+      if (endTime > workEnd) break;
+      count++;
+    }
 
-    return Math.floor(remainingTime / avgTimePerStore);
+    return count;
+  }
+
+  // Nearest working day with room that the store may be visited on
+  static findAllowedDay(store, workingDays) {
+    let best = null;
+    let bestDistance = Infinity;
+
+    workingDays.forEach((week) => {
+      week.forEach((dayInfo) => {
+        const stores = dayInfo.optimizedStores || [];
+        if (!Utils.isDayAllowed(store, dayInfo)) return;
+        if (stores.length >= Utils.getDayCapacity(dayInfo)) return;
+
+        const center = this.calculateDayCenter(stores);
+        const distance = center
+          ? Utils.distance(store.lat, store.lng, center.lat, center.lng)
+          : CONFIG.CLUSTERING.MAX_RADIUS; // Empty days are a fallback
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = dayInfo;
+        }
+      });
+    });
+
+    return best;
   }
 
-  static calculateMaxStoresForTimeCapacity(timeCapacity) {
-    return Math.max(0, timeCapacity);
+  // Take as many of the area's stores as the day allows and can fit,
+  // most valuable first
+  static takeStoresForDay(areaGroup, dayData) {
+    const allowedStores = areaGroup.stores
+      .filter((store) => Utils.isDayAllowed(store, dayData.dayInfo))
+      .sort(StoreValue.compare);
+    const storesToAdd = Math.min(
+      allowedStores.length,
+      dayData.availableCapacity,
+      this.countStoresThatFit(allowedStores, dayData)
+    );
+    if (storesToAdd <= 0) return [];
+
+    const selectedStores = allowedStores.slice(0, storesToAdd);
+    areaGroup.stores = areaGroup.stores.filter(
+      (store) => !selectedStores.includes(store)
+    );
+    return selectedStores;
   }
 
   static findCompatibleDays(areaGroup, targetDays) {
@@ -640,51 +915,49 @@ class LayeredPriorityOptimizer {
       });
   }
 
-  static loadStoresByPriority(priority) {
-    // This would load from sheet - simplified for now
+  static loadStoresByPriority(
+    priority,
+    visitHistory = null,
+    excludedNoStrs = null
+  ) {
+    // Served from the shared repository - the sheet is read once per run
     Utils.log(`Loading ${priority} stores from sheet...`, "INFO");
 
     try {
-      const ss = SpreadsheetApp.getActiveSpreadsheet();
-      const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
-
-      if (!sheet) return [];
+      const repository = StoreRepository.forActiveSheet();
+      if (!repository) return [];
 
       const priorityConfig = CONFIG.PRIORITIES[priority];
       if (!priorityConfig) return [];
 
       const stores = [];
-      const col = priorityConfig.startCol;
-      const lastRow = sheet.getLastRow();
 
-      for (let row = 4; row <= lastRow; row++) {
+      for (const record of repository.getRows(priority)) {
         try {
-          const shouldVisit = sheet.getRange(row, col + 11).getValue();
-          if (shouldVisit !== "YES" && shouldVisit !== true) continue;
-
-          const name = sheet.getRange(row, col + 1).getValue();
-          if (!name) continue;
-
-          const noStr = sheet.getRange(row, col).getValue() || "";
-          const lat = parseFloat(sheet.getRange(row, col + 6).getValue());
-          const lng = parseFloat(sheet.getRange(row, col + 7).getValue());
-
+          const { noStr, lat, lng } = record;
           if (isNaN(lat) || isNaN(lng)) continue;
+          if (excludedNoStrs && excludedNoStrs.has(noStr)) continue;
 
           stores.push({
             priority: priority,
             noStr: noStr,
-            name: name,
-            retailer: sheet.getRange(row, col + 2).getValue() || "",
-            district: sheet.getRange(row, col + 3).getValue() || "Unknown",
-            address: sheet.getRange(row, col + 5).getValue() || "",
+            name: record.name,
+            retailer: record.retailer,
+            district: record.district,
+            address: record.address,
             lat: lat,
             lng: lng,
-            salesL6M: parseFloat(sheet.getRange(row, col + 8).getValue()) || 0,
+            salesL6M: record.salesL6M,
             baseFrequency: priorityConfig.requiredVisits,
             actualVisits: 1,
             visits: 1,
-            visitTime: CONFIG.DEFAULT_VISIT_TIME,
+            visitTime: Utils.resolveVisitTime(record, priority),
+            openTime: record.openTime,
+            closeTime: record.closeTime,
+            allowedDays: record.allowedDays,
+            monthsSinceVisit: visitHistory
+              ? visitHistory.getMonthsSinceVisit(noStr)
+              : null,
             isFillerStore: true,
             visitId: `${noStr}_${priority}_FILLER`,
           });
@@ -783,37 +1056,41 @@ class LayeredPriorityOptimizer {
 
   static createDetailedRoute(stores, dayInfo) {
     if (!stores || stores.length === 0) return [];
+    stores = TimeWindowSequencer.sequence(stores, dayInfo);
 
     const route = [];
-    let currentTime = CONFIG.WORK.START;
-    let currentLat = CONFIG.START.LAT;
-    let currentLng = CONFIG.START.LNG;
+    let currentTime = Utils.getWorkStart(dayInfo);
+    let current = TravelProvider.start(dayInfo);
 
-    const isFriday = dayInfo.isFriday || false;
-    const breakStart = isFriday
-      ? CONFIG.FRIDAY_PRAYER.START
-      : CONFIG.LUNCH.START;
-    const breakEnd = isFriday ? CONFIG.FRIDAY_PRAYER.END : CONFIG.LUNCH.END;
-    let hasBreak = false;
+    const breakWindow = Utils.getBreakWindow(dayInfo);
+    const workEnd = Utils.getWorkEnd(dayInfo);
+    let hasBreak = !breakWindow;
 
     stores.forEach((store, index) => {
-      const distance = Utils.distance(
-        currentLat,
-        currentLng,
-        store.lat,
-        store.lng
-      );
-      const travelTime = Math.round(distance * 3); // 3 min per km
+      // Meetings or office time the visit would run into come first
+      const due = Utils.attendBlocks(dayInfo, currentTime, current, store);
+      currentTime = due.time;
+      current = due.point;
+
+      const leg = TravelProvider.leg(current, store, currentTime, dayInfo);
+      const distance = leg.km;
+      const travelTime = leg.minutes;
 
       currentTime += travelTime;
 
       // Handle break
-      if (!hasBreak && currentTime >= breakStart && currentTime < breakEnd) {
-        currentTime = breakEnd;
+      if (
+        !hasBreak &&
+        currentTime >= breakWindow.start &&
+        currentTime < breakWindow.end
+      ) {
+        currentTime = breakWindow.end;
         hasBreak = true;
       }
 
-      const arrivalTime = currentTime;
+      // Wait outside if the store has not opened yet
+      const arrivalTime = Utils.getVisitStart(store, currentTime);
+      const waitTime = arrivalTime - currentTime;
       const visitDuration =
         CONFIG.BUFFER_TIME + (store.visitTime || CONFIG.DEFAULT_VISIT_TIME);
       const departTime = arrivalTime + visitDuration;
@@ -825,63 +1102,41 @@ class LayeredPriorityOptimizer {
         duration: travelTime,
         arrivalTime: arrivalTime,
         departTime: departTime,
-        timeWarning: departTime > CONFIG.WORK.END,
-        isAfter6PM: departTime > CONFIG.WORK.END,
+        waitTime: waitTime,
+        blocksBefore: due.blocks,
+        timeWarning: departTime > workEnd,
+        isAfter6PM: departTime > workEnd,
+        windowViolation: Utils.missesTimeWindow(store, arrivalTime),
       });
 
       currentTime = departTime;
-      currentLat = store.lat;
-      currentLng = store.lng;
+      current = store;
     });
 
-    return route;
+    return Utils.addReturnLeg(route, dayInfo);
   }
 
-  static trimStoresForTimeConstraint(detailedRoute, dayInfo) {
-    const trimmed = [];
-
-    for (const store of detailedRoute) {
-      if (store.departTime <= CONFIG.WORK.END) {
-        trimmed.push(store);
-      } else {
-        break; // Stop at first violation
-      }
+  // Remove the lowest-value store and re-time the day until it ends (back
+  // at the end location) on time and within the daily distance; equal
+  // values lose the store visited last, as before
+  static trimStoresForTimeConstraint(stores, dayInfo) {
+    const workEnd = Utils.getWorkEnd(dayInfo);
+    let kept = [...stores];
+    let route = this.createDetailedRoute(kept, dayInfo);
+    const removed = [];
+
+    while (
+      route.length > 0 &&
+      (Utils.getDayEnd(route) > workEnd ||
+        Utils.exceedsDailyDistance(Utils.getDayDistance(route)))
+    ) {
+      const weakest = StoreValue.findWeakest(kept);
+      kept = kept.filter((store) => store !== weakest);
+      removed.push(weakest);
+      route = this.createDetailedRoute(kept, dayInfo);
     }
 
-    return trimmed;
-  }
-
-  static optimizeDayRoute(stores) {
-    if (!stores || stores.length <= 2) return stores;
-
-    // Simple nearest neighbor optimization
-    const optimized = [];
-    const remaining = [...stores];
-    let current = { lat: CONFIG.START.LAT, lng: CONFIG.START.LNG };
-
-    while (remaining.length > 0) {
-      let nearestIndex = 0;
-      let minDistance = Infinity;
-
-      remaining.forEach((store, index) => {
-        const distance = Utils.distance(
-          current.lat,
-          current.lng,
-          store.lat,
-          store.lng
-        );
-        if (distance < minDistance) {
-          minDistance = distance;
-          nearestIndex = index;
-        }
-      });
-
-      const nearest = remaining.splice(nearestIndex, 1)[0];
-      optimized.push(nearest);
-      current = nearest;
-    }
-
-    return optimized;
+    return { route, removed };
   }
 
   static removeDuplicatesAcrossDays(workingDays) {
@@ -973,6 +1228,12 @@ class LayeredPriorityOptimizer {
       "INFO"
     );
     Utils.log(`• P1 days combined: ${result.phase1_p1.daysCombined}`, "INFO");
+    Utils.log(
+      `• Other selected visits put back: ${
+        result.phase1_p1.carriedPlaced || 0
+      }`,
+      "INFO"
+    );
     Utils.log("", "INFO");
 
     // Phase 2: P2 Results
@@ -1016,7 +1277,11 @@ class LayeredPriorityOptimizer {
       "INFO"
     );
     Utils.log(
-      `• Stores removed for time: ${result.phase4_final.storesRemoved}`,
+      `• Distance violations found: ${result.phase4_final.distanceViolations}`,
+      "INFO"
+    );
+    Utils.log(
+      `• Stores removed for time or distance: ${result.phase4_final.storesRemoved}`,
       "INFO"
     );
     Utils.log(
@@ -1055,10 +1320,13 @@ class LayeredPriorityOptimizer {
     if (totalDaysCombined > 0) {
       Utils.log("✅ Successfully combined under-optimized days", "INFO");
     }
-    if (result.phase4_final.timeViolations === 0) {
-      Utils.log("✅ All days meet time constraints", "INFO");
+    if (
+      result.phase4_final.timeViolations === 0 &&
+      result.phase4_final.distanceViolations === 0
+    ) {
+      Utils.log("✅ All days meet time and distance constraints", "INFO");
     } else {
-      Utils.log("⚠️ Some days required time constraint trimming", "WARN");
+      Utils.log("⚠️ Some days required time or distance trimming", "WARN");
     }
 
     Utils.log("=== LAYERED PRIORITY OPTIMIZATION COMPLETED ===", "INFO");
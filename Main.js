@@ -1,6 +1,6 @@
 // ==================== MAIN.JS - UPDATED WITH INTELLIGENT OPTIMIZATION ====================
 
-function generateEnhancedMonthlyPlan() {
+function generateEnhancedMonthlyPlan(targetMonth = null) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
 
@@ -9,11 +9,19 @@ function generateEnhancedMonthlyPlan() {
     return;
   }
 
+  targetMonth = targetMonth || promptForTargetMonth();
+  if (!targetMonth) return;
+
   try {
     Utils.log(
       "=== STARTING ENHANCED MONTHLY PLAN WITH INTELLIGENT OPTIMIZATION ===",
       "INFO"
     );
+    Utils.log(
+      `Target month: ${new DateCalculator(targetMonth).getMonthLabel()}`,
+      "INFO"
+    );
+    RunSeed.start(sheet, targetMonth);
     ss.toast(
       "Initializing enhanced optimization with intelligent day consolidation...",
       "Processing",
@@ -23,12 +31,26 @@ function generateEnhancedMonthlyPlan() {
     const startTime = new Date();
     const storeManager = new StoreManager(sheet);
     const utilManager = new UtilizationManager(sheet);
-    const routeOptimizer = new RouteOptimizer();
-    const outputManager = new OutputManager(ss);
+    const routeOptimizer = new RouteOptimizer(
+      targetMonth,
+      new HolidayCalendar(ss),
+      null,
+      new DayLocations(ss),
+      new DayBlocks(ss)
+    );
+    const outputManager = new OutputManager(ss, targetMonth);
+    const visitHistory = new VisitHistory(ss, targetMonth);
 
     storeManager.updateVisitFrequencies();
-    const utilConfig = utilManager.getConfig();
-    const stores = storeManager.loadStores(utilConfig.includePriorities);
+    const utilConfig = utilManager.getConfig(
+      routeOptimizer.workingDays,
+      visitHistory
+    );
+    const stores = storeManager.loadStores(
+      utilConfig.includePriorities,
+      visitHistory,
+      utilConfig.marginalTier
+    );
 
     if (!stores.length) {
       SpreadsheetApp.getUi().alert("No stores found for selected priorities.");
@@ -60,9 +82,13 @@ function generateEnhancedMonthlyPlan() {
       -1
     );
     const consolidationResult = PostProcessingDeduplicator.consolidateSmallDays(
-      planResult.workingDays
+      planResult.workingDays,
+      visitHistory
     );
 
+    // Required visits that no longer fit (holidays, leave, time) stay reported
+    planResult.unvisitedStores.push(...consolidationResult.droppedStores);
+
     // Add layered consolidation stats to result
     planResult.statistics.layeredConsolidation = {
       daysOptimized: consolidationResult.consolidationCount,
@@ -95,6 +121,8 @@ function generateEnhancedMonthlyPlan() {
 
     // Create output
     outputManager.createEnhancedSheet(planResult, utilConfig, stores);
+    visitHistory.markVisited(planResult.workingDays);
+    visitHistory.save();
 
     // Show enhanced completion message
     const stats = planResult.statistics;
@@ -180,7 +208,7 @@ function generateEnhancedMonthlyPlan() {
   }
 }
 
-function generateBasicMonthlyPlan() {
+function generateBasicMonthlyPlan(targetMonth = null) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
 
@@ -189,8 +217,16 @@ function generateBasicMonthlyPlan() {
     return;
   }
 
+  targetMonth = targetMonth || promptForTargetMonth();
+  if (!targetMonth) return;
+
   try {
     Utils.log("=== STARTING BASIC MONTHLY PLAN WITH BASIC FIXES ===", "INFO");
+    Utils.log(
+      `Target month: ${new DateCalculator(targetMonth).getMonthLabel()}`,
+      "INFO"
+    );
+    RunSeed.start(sheet, targetMonth);
     ss.toast(
       "Initializing basic optimization with standard cleanup...",
       "Processing",
@@ -199,15 +235,29 @@ function generateBasicMonthlyPlan() {
 
     const storeManager = new StoreManager(sheet);
     const utilManager = new UtilizationManager(sheet);
-    const routeOptimizer = new RouteOptimizer();
-    const outputManager = new OutputManager(ss);
+    const routeOptimizer = new RouteOptimizer(
+      targetMonth,
+      new HolidayCalendar(ss),
+      null,
+      new DayLocations(ss),
+      new DayBlocks(ss)
+    );
+    const outputManager = new OutputManager(ss, targetMonth);
+    const visitHistory = new VisitHistory(ss, targetMonth);
 
     // Force basic optimization
     routeOptimizer.useEnhancedOptimization = false;
 
     storeManager.updateVisitFrequencies();
-    const utilConfig = utilManager.getConfig();
-    const stores = storeManager.loadStores(utilConfig.includePriorities);
+    const utilConfig = utilManager.getConfig(
+      routeOptimizer.workingDays,
+      visitHistory
+    );
+    const stores = storeManager.loadStores(
+      utilConfig.includePriorities,
+      visitHistory,
+      utilConfig.marginalTier
+    );
 
     if (!stores.length) {
       SpreadsheetApp.getUi().alert("No stores found for selected priorities.");
@@ -225,13 +275,17 @@ function generateBasicMonthlyPlan() {
     // For basic plan, use simpler consolidation (you can keep old method if you have it)
     // Or use intelligent consolidation but with simpler messaging
     const consolidationResult = PostProcessingDeduplicator.consolidateSmallDays(
-      planResult.workingDays
+      planResult.workingDays,
+      visitHistory
     );
+    planResult.unvisitedStores.push(...consolidationResult.droppedStores);
 
     const endTime = new Date();
     const processingTime = ((endTime - startTime) / 1000).toFixed(1);
 
     outputManager.createSheet(planResult, utilConfig, stores);
+    visitHistory.markVisited(planResult.workingDays);
+    visitHistory.save();
 
     const stats = planResult.statistics;
     let completionMessage = `✅ BASIC OPTIMIZATION COMPLETED in ${processingTime}s!\n\n`;
@@ -262,6 +316,181 @@ function generateBasicMonthlyPlan() {
   }
 }
 
+// Plan every merchandiser on the roster from one shared store master
+function generateTeamMonthlyPlans(targetMonth = null) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(CONFIG.SHEET_NAME);
+
+  if (!sheet) {
+    SpreadsheetApp.getUi().alert('Sheet "Callplan MY" not found!');
+    return;
+  }
+
+  targetMonth = targetMonth || promptForTargetMonth();
+  if (!targetMonth) return;
+
+  try {
+    Utils.log("=== STARTING TEAM MONTHLY PLANS ===", "INFO");
+    RunSeed.start(sheet, targetMonth);
+    ss.toast("Loading merchandiser roster...", "Processing", -1);
+
+    const startTime = new Date();
+    const merchandisers = new MerchandiserRoster(ss).loadMerchandisers(
+      targetMonth
+    );
+    if (!merchandisers.length) {
+      SpreadsheetApp.getUi().alert(
+        `No active merchandisers found in the "${CONFIG.TEAM.ROSTER_SHEET}" sheet.`
+      );
+      return;
+    }
+
+    const storeManager = new StoreManager(sheet);
+    const utilManager = new UtilizationManager(sheet);
+    const visitHistory = new VisitHistory(ss, targetMonth);
+
+    storeManager.updateVisitFrequencies();
+    const utilConfig = utilManager.getConfig(
+      merchandisers.flatMap((merchandiser) => merchandiser.workingDays),
+      visitHistory
+    );
+    const stores = storeManager.loadStores(
+      utilConfig.includePriorities,
+      visitHistory,
+      utilConfig.marginalTier
+    );
+
+    if (!stores.length) {
+      SpreadsheetApp.getUi().alert("No stores found for selected priorities.");
+      return;
+    }
+
+    ss.toast("Splitting stores into territories...", "Processing", -1);
+    const territories = new TerritoryPartitioner(merchandisers).partition(
+      stores
+    );
+
+    const plannedNoStrs = new Set(); // Stores earlier merchandisers visit
+
+    const teamResults = territories.map((territory, idx) => {
+      const merchandiser = territory.merchandiser;
+      const result = {
+        merchandiser,
+        storeCount: territory.stores.length,
+        visitCount: territory.workload,
+        planResult: null,
+        sheetName: null,
+        error: null,
+      };
+
+      if (!territory.stores.length) return result;
+
+      ss.toast(
+        `Planning ${merchandiser.name} (${idx + 1}/${territories.length})...`,
+        "Processing",
+        -1
+      );
+
+      try {
+        MerchandiserRoster.runAs(merchandiser, () => {
+          const routeOptimizer = new RouteOptimizer(
+            targetMonth,
+            merchandiser.holidayCalendar,
+            merchandiser.workWeek,
+            merchandiser.dayLocations,
+            merchandiser.dayBlocks
+          );
+          const planResult = routeOptimizer.optimizePlan(territory.stores);
+
+          PostProcessingDeduplicator.cleanupFinalRoutes(planResult.workingDays);
+
+          // Fillers come from this territory or stores no territory holds,
+          // never from someone else's territory or plan
+          const excludedNoStrs = new Set(plannedNoStrs);
+          territories.forEach((other) => {
+            if (other === territory) return;
+            other.stores.forEach((store) => excludedNoStrs.add(store.noStr));
+          });
+          const consolidationResult =
+            PostProcessingDeduplicator.consolidateSmallDays(
+              planResult.workingDays,
+              visitHistory,
+              excludedNoStrs
+            );
+          planResult.unvisitedStores.push(...consolidationResult.droppedStores);
+
+          // Consolidation drops fillers without a trace; a territory store
+          // among them still belongs on this merchandiser's unvisited list
+          planResult.unvisitedStores.push(
+            ...Utils.findMissingVisits(
+              territory.stores,
+              planResult.workingDays,
+              planResult.unvisitedStores,
+              "Dropped when the days were consolidated"
+            )
+          );
+
+          const outputManager = new OutputManager(
+            ss,
+            targetMonth,
+            merchandiser
+          );
+          result.sheetName = outputManager.createEnhancedSheet(
+            planResult,
+            utilManager.getTerritoryConfig(
+              utilConfig,
+              merchandiser.workingDays,
+              territory.stores
+            ),
+            territory.stores
+          );
+          result.planResult = planResult;
+          visitHistory.markVisited(planResult.workingDays);
+          planResult.workingDays.forEach((week) =>
+            week.forEach((dayInfo) =>
+              (dayInfo.optimizedStores || []).forEach((store) =>
+                plannedNoStrs.add(store.noStr)
+              )
+            )
+          );
+        });
+      } catch (error) {
+        // One failed territory should not lose everyone else's plan
+        Utils.log(
+          `Team plan failed for ${merchandiser.name}: ${error.toString()}`,
+          "ERROR"
+        );
+        result.error = error.toString();
+      }
+
+      return result;
+    });
+
+    const summarySheet = new OutputManager(
+      ss,
+      targetMonth
+    ).createTeamSummarySheet(teamResults);
+    visitHistory.save();
+
+    const processingTime = ((new Date() - startTime) / 1000).toFixed(1);
+    const failed = teamResults.filter((r) => r.error).length;
+
+    let completionMessage = `✅ TEAM PLANS COMPLETED in ${processingTime}s!\n\n`;
+    completionMessage += `• ${teamResults.length} merchandisers planned\n`;
+    completionMessage += `• ${stores.length} stores split into territories\n`;
+    if (failed > 0) {
+      completionMessage += `• ⚠️ ${failed} plans failed - see "${summarySheet}"\n`;
+    }
+    completionMessage += `• Roll-up: "${summarySheet}"`;
+
+    Utils.log("=== TEAM MONTHLY PLANS COMPLETED ===", "INFO");
+    ss.toast(completionMessage, "✅ Team Success", 15);
+  } catch (error) {
+    Utils.log("Error during team planning: " + error.toString(), "ERROR");
+    SpreadsheetApp.getUi().alert("Team planning failed: " + error.toString());
+  }
+}
+
 // New test function for layered optimization
 function testLayeredOptimization() {
   try {
@@ -273,12 +502,19 @@ function testLayeredOptimization() {
       return;
     }
 
+    RunSeed.start(sheet);
     const storeManager = new StoreManager(sheet);
     const utilManager = new UtilizationManager(sheet);
-    const routeOptimizer = new RouteOptimizer();
+    const routeOptimizer = new RouteOptimizer(
+      null,
+      new HolidayCalendar(SpreadsheetApp.getActiveSpreadsheet()),
+      null,
+      new DayLocations(SpreadsheetApp.getActiveSpreadsheet()),
+      new DayBlocks(SpreadsheetApp.getActiveSpreadsheet())
+    );
 
     storeManager.updateVisitFrequencies();
-    const utilConfig = utilManager.getConfig();
+    const utilConfig = utilManager.getConfig(routeOptimizer.workingDays);
     const stores = storeManager.loadStores(utilConfig.includePriorities);
 
     if (stores.length < 5) {
@@ -337,6 +573,7 @@ function testLayeredOptimization() {
       message += `• P2 enhancement: ${layered.p2Enhancement.storesAdded} stores\n`;
       message += `• P3 enhancement: ${layered.p3Enhancement.storesAdded} stores\n`;
       message += `• Time violations: ${layered.finalValidation.timeViolations}\n`;
+      message += `• Distance violations: ${layered.finalValidation.distanceViolations}\n`;
     }
     message += `• Days combined: ${consolidationResult.mergedDays}\n`;
     message += `• Total P2+P3 added: ${
@@ -381,11 +618,20 @@ function checkUtilizationOnly() {
       return;
     }
 
+    RunSeed.start(sheet);
     const storeManager = new StoreManager(sheet);
     const utilManager = new UtilizationManager(sheet);
 
     storeManager.updateVisitFrequencies();
-    const utilConfig = utilManager.getConfig();
+    const utilConfig = utilManager.getConfig(
+      new DateCalculator(
+        null,
+        new HolidayCalendar(SpreadsheetApp.getActiveSpreadsheet()),
+        null,
+        null,
+        new DayBlocks(SpreadsheetApp.getActiveSpreadsheet())
+      ).getMonthlyWorkingDays()
+    );
     const storeStats = storeManager.getStoreStatistics(
       utilConfig.includePriorities
     );
@@ -394,7 +640,8 @@ function checkUtilizationOnly() {
     message += `Selected Priorities: ${utilConfig.includePriorities.join(
       ", "
     )}\n`;
-    message += `Current Utilization: ${utilConfig.utilization.toFixed(1)}%\n\n`;
+    message += `Current Utilization: ${utilConfig.utilization.toFixed(1)}%\n`;
+    message += `Basis: ${utilConfig.reasoning}\n\n`;
 
     message += "📈 Store Statistics:\n";
     Object.entries(storeStats.byPriority).forEach(([priority, stats]) => {
@@ -419,12 +666,37 @@ function checkUtilizationOnly() {
   }
 }
 
+// Ask which month to plan; a blank answer keeps the current month
+function promptForTargetMonth() {
+  const ui = SpreadsheetApp.getUi();
+  const current = new DateCalculator().getMonthLabel();
+
+  const response = ui.prompt(
+    "📆 Target Month",
+    `Which month should be planned? Enter MM/YYYY (e.g. 01/2026).\nLeave blank for ${current}.`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() !== ui.Button.OK) return null;
+
+  const text = response.getResponseText().trim();
+  if (!text) return DateCalculator.getDefaultTargetMonth();
+
+  const targetMonth = DateCalculator.parseTargetMonth(text);
+  if (!targetMonth) {
+    ui.alert(
+      `Could not read month "${text}". Please use MM/YYYY, e.g. 01/2026.`
+    );
+  }
+  return targetMonth;
+}
+
 function onOpen() {
   const ui = SpreadsheetApp.getUi();
 
   ui.createMenu("🚀 Route Optimizer - Layered")
     .addItem("🎯 Generate Layered Monthly Plan", "generateEnhancedMonthlyPlan")
     .addItem("📅 Generate Basic Monthly Plan", "generateBasicMonthlyPlan")
+    .addItem("👥 Generate Team Plans", "generateTeamMonthlyPlans")
     .addSeparator()
     .addItem("📊 Check Utilization", "checkUtilizationOnly")
     .addItem("🧪 Test Layered Optimization", "testLayeredOptimization")
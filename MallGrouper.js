@@ -0,0 +1,231 @@
+// ==================== MALL GROUPER - STORES IN ONE BUILDING ====================
+// Stores within CONFIG.CLUSTERING.MALL_DETECTION.PROXIMITY_THRESHOLD of each
+// other share a mallClusterId. A mall's stores are planned on the same day
+// and visited one after another, walking between them (see
+// Utils.calculateTravelTime). A store visited twice a month counts once
+// towards its mall; each visit joins the mall's other stores on that round.
+class MallGrouper {
+  // Tag stores with their mall. Stores already tagged keep their mall; new
+  // ones (e.g. fillers) go back to the mall their store number had earlier
+  // in the run or join one with room, then group among themselves.
+  // Returns the number of malls.
+  static detect(stores) {
+    const settings = CONFIG.CLUSTERING.MALL_DETECTION;
+    if (!settings.ENABLE_MALL_CLUSTERING) return 0;
+
+    MallGrouper.known = MallGrouper.known || new Map(); // noStr -> mall
+    const malls = new Map(); // mallClusterId -> stores
+    stores.forEach((store) => {
+      if (!store.mallClusterId) return;
+      if (!malls.has(store.mallClusterId)) malls.set(store.mallClusterId, []);
+      malls.get(store.mallClusterId).push(store);
+    });
+    const changed = new Set();
+
+    const join = (id, store) => {
+      const members = malls.get(id) || [];
+      if (!this.canJoin(members, store)) return false;
+      malls.set(id, [...members, store]);
+      changed.add(id);
+      return true;
+    };
+
+    // Back to the store's earlier mall first, so others do not take its place
+    const untagged = stores
+      .filter((store) => !store.mallClusterId)
+      .filter((store) => {
+        const earlier = MallGrouper.known.get(store.noStr);
+        return !earlier || !join(earlier, store);
+      })
+      .filter(
+        (store) => !Array.from(malls.keys()).some((id) => join(id, store))
+      );
+
+    const grouped = new Set();
+    untagged.forEach((store) => {
+      if (grouped.has(store)) return;
+
+      // Its nearest untagged neighbours, while the group stays one mall
+      const group = [store];
+      untagged
+        .filter(
+          (other) =>
+            other !== store &&
+            !grouped.has(other) &&
+            Utils.detectMallProximity(store, other).isSameMall
+        )
+        .sort(
+          (a, b) =>
+            Utils.detectMallProximity(store, a).distance -
+            Utils.detectMallProximity(store, b).distance
+        )
+        .forEach((other) => {
+          if (this.canJoin(group, other)) group.push(other);
+        });
+      if (this.distinct(group).length < 2) return; // One store's visits
+
+      group.forEach((member) => grouped.add(member));
+      let id = Utils.generateMallId(group);
+      for (let n = 2; malls.has(id); n++) {
+        id = `${Utils.generateMallId(group)}_${n}`;
+      }
+      malls.set(id, group);
+      changed.add(id);
+    });
+
+    changed.forEach((id) => {
+      const members = malls.get(id);
+      const mallInfo = Utils.analyzeMallCluster(this.distinct(members));
+      members.forEach((store) => {
+        store.mallClusterId = id;
+        store.mallInfo = mallInfo;
+        if (store.noStr) MallGrouper.known.set(store.noStr, id);
+      });
+    });
+
+    const found = [...changed]
+      .map((id) => this.distinct(malls.get(id)))
+      .filter((members) => members.length > 1);
+    if (found.length > 0) {
+      Utils.log(
+        `🏬 Mall detection: ${found.length} malls with ${found.reduce(
+          (sum, members) => sum + members.length,
+          0
+        )} stores`,
+        "INFO"
+      );
+    }
+    return malls.size;
+  }
+
+  static canJoin(members, store) {
+    return (
+      members.every(
+        (member) => Utils.detectMallProximity(member, store).isSameMall
+      ) && Utils.validateMallCluster(this.distinct([...members, store])).valid
+    );
+  }
+
+  // One entry per store number, whatever its number of visits
+  static distinct(stores) {
+    const seen = new Set();
+    return stores.filter((store) => {
+      const key = store.noStr || store;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  // Move each mall's stores onto one day, one visit round at a time: a
+  // store's first visit joins the others' first visits, its second the
+  // seconds. The target is the day already holding most of them that allows
+  // the others, has room and time for them and no visit of the same store.
+  static keepOnSameDay(workingDays) {
+    const days = [];
+    workingDays.forEach((week) =>
+      week.forEach((dayInfo) => {
+        if (dayInfo.optimizedStores && dayInfo.optimizedStores.length > 0) {
+          days.push(dayInfo);
+        }
+      })
+    );
+    this.detect(days.reduce((all, day) => all.concat(day.optimizedStores), []));
+
+    // Days are in calendar order, so the nth time a store number turns up is
+    // its nth visit
+    const result = { mallsJoined: 0, mallsSplit: 0 };
+    const visitCount = new Map(); // noStr -> visits seen so far
+    const spread = new Map(); // "mallClusterId|visit" -> days holding them
+    days.forEach((dayInfo) =>
+      dayInfo.optimizedStores.forEach((store) => {
+        if (!store.mallClusterId) return;
+        const visit = (visitCount.get(store.noStr) || 0) + 1;
+        visitCount.set(store.noStr, visit);
+
+        const key = `${store.mallClusterId}|${visit}`;
+        if (!spread.has(key)) {
+          spread.set(key, { id: store.mallClusterId, visit, days: new Map() });
+        }
+        const onDay = spread.get(key).days;
+        if (!onDay.has(dayInfo)) onDay.set(dayInfo, []);
+        onDay.get(dayInfo).push(store);
+      })
+    );
+
+    spread.forEach(({ id, visit, days: onDay }) => {
+      if (onDay.size < 2) return;
+
+      const candidates = [...onDay.keys()].sort(
+        (a, b) => onDay.get(b).length - onDay.get(a).length
+      );
+
+      const target = candidates.find((dayInfo) => {
+        const movers = candidates
+          .filter((other) => other !== dayInfo)
+          .reduce((all, other) => all.concat(onDay.get(other)), []);
+        const stores = dayInfo.optimizedStores.concat(movers);
+        return (
+          movers.every(
+            (store) =>
+              Utils.isDayAllowed(store, dayInfo) &&
+              !dayInfo.optimizedStores.some(
+                (other) => other.noStr === store.noStr
+              )
+          ) &&
+          stores.length <= Utils.getDayCapacity(dayInfo) &&
+          LayeredPriorityOptimizer.estimateEndTime(stores, dayInfo) <=
+            Utils.getWorkEnd(dayInfo)
+        );
+      });
+
+      if (!target) {
+        result.mallsSplit++;
+        Utils.log(
+          `🏬 Mall ${id} (visit ${visit}): no single day has room for all its stores, kept on ${onDay.size} days`,
+          "WARN"
+        );
+        return;
+      }
+
+      candidates.forEach((dayInfo) => {
+        if (dayInfo === target) return;
+        const movers = onDay.get(dayInfo);
+        dayInfo.optimizedStores = dayInfo.optimizedStores.filter(
+          (store) => !movers.includes(store)
+        );
+        target.optimizedStores.push(...movers);
+      });
+      result.mallsJoined++;
+    });
+
+    if (result.mallsJoined > 0) {
+      Utils.log(
+        `🏬 Moved the stores of ${result.mallsJoined} mall visits onto one day`,
+        "INFO"
+      );
+    }
+    return result;
+  }
+
+  // The route order, with each mall's stores pulled up behind the first
+  // one visited
+  static keepConsecutive(stores) {
+    const seen = new Set();
+    const route = [];
+
+    stores.forEach((store) => {
+      if (!store.mallClusterId) {
+        route.push(store);
+        return;
+      }
+      if (seen.has(store.mallClusterId)) return;
+
+      seen.add(store.mallClusterId);
+      route.push(
+        ...stores.filter((other) => other.mallClusterId === store.mallClusterId)
+      );
+    });
+    return route;
+  }
+}
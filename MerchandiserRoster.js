@@ -0,0 +1,128 @@
+// ==================== MERCHANDISER ROSTER ====================
+class MerchandiserRoster {
+  constructor(ss) {
+    this.ss = ss;
+  }
+
+  // Read the roster sheet once: ID | Name | Home Lat | Home Lng | State | Work Week | Max Stores/Day | Active
+  loadMerchandisers(targetMonth = null) {
+    const sheet = this.ss.getSheetByName(CONFIG.TEAM.ROSTER_SHEET);
+    if (!sheet) {
+      Utils.log(`No "${CONFIG.TEAM.ROSTER_SHEET}" sheet found`, "WARN");
+      return [];
+    }
+
+    const lastRow = sheet.getLastRow();
+    if (lastRow < 2) return [];
+
+    const rows = sheet.getRange(2, 1, lastRow - 1, 8).getValues();
+    const merchandisers = [];
+    const seenIds = new Set();
+
+    rows.forEach((row, idx) => {
+      const [rawId, name, rawLat, rawLng, state, workWeek, maxStores, active] =
+        row;
+      if (!rawId) return;
+
+      const id = rawId.toString().trim();
+      if ((active || "YES").toString().trim().toUpperCase() === "NO") return;
+
+      if (seenIds.has(id.toUpperCase())) {
+        Utils.log(
+          `Roster row ${idx + 2}: duplicate ID "${id}", skipped`,
+          "WARN"
+        );
+        return;
+      }
+
+      const lat = parseFloat(rawLat);
+      const lng = parseFloat(rawLng);
+      if (isNaN(lat) || isNaN(lng)) {
+        Utils.log(
+          `Roster row ${idx + 2}: ${id} has no home location, skipped`,
+          "WARN"
+        );
+        return;
+      }
+
+      const merchandiser = {
+        id: id,
+        name: (name || id).toString().trim(),
+        home: { LAT: lat, LNG: lng },
+        state: (state || CONFIG.MERCHANDISER.STATE).toString().trim(),
+        workWeek: (workWeek || "").toString().trim(),
+        maxStoresPerDay:
+          parseInt(maxStores) || CONFIG.CLUSTERING.MAX_STORES_PER_DAY,
+      };
+
+      // Blank work week falls back to the merchandiser's state pattern
+      if (!merchandiser.workWeek) {
+        merchandiser.workWeek =
+          CONFIG.WORK_WEEK.BY_STATE[merchandiser.state] ||
+          CONFIG.WORK_WEEK.DEFAULT;
+      }
+
+      merchandiser.holidayCalendar = new HolidayCalendar(this.ss, {
+        state: merchandiser.state,
+        merchandiserId: merchandiser.id,
+      });
+      merchandiser.dayLocations = new DayLocations(this.ss, {
+        merchandiserId: merchandiser.id,
+      });
+      merchandiser.dayBlocks = new DayBlocks(this.ss, {
+        merchandiserId: merchandiser.id,
+      });
+
+      // Capacity = visit slots left in the month after holidays and leave
+      const dateCalculator = new DateCalculator(
+        targetMonth,
+        merchandiser.holidayCalendar,
+        merchandiser.workWeek,
+        merchandiser.dayLocations,
+        merchandiser.dayBlocks
+      );
+      merchandiser.workingDays = dateCalculator.getMonthlyWorkingDays();
+      merchandiser.workingDayCount = merchandiser.workingDays.reduce(
+        (total, week) => total + week.length,
+        0
+      );
+      merchandiser.capacity =
+        merchandiser.workingDayCount * merchandiser.maxStoresPerDay;
+
+      seenIds.add(id.toUpperCase());
+      merchandisers.push(merchandiser);
+    });
+
+    Utils.log(
+      `Roster loaded: ${merchandisers.length} active merchandisers`,
+      "INFO"
+    );
+    return merchandisers;
+  }
+
+  // The pipeline reads home base and profile from CONFIG, so swap them in
+  // for one merchandiser and always restore the originals afterwards
+  static runAs(merchandiser, callback) {
+    const saved = {
+      start: CONFIG.START,
+      profile: CONFIG.MERCHANDISER,
+      maxStores: CONFIG.CLUSTERING.MAX_STORES_PER_DAY,
+    };
+
+    CONFIG.START = merchandiser.home;
+    CONFIG.MERCHANDISER = {
+      ID: merchandiser.id,
+      STATE: merchandiser.state,
+      WORK_WEEK: merchandiser.workWeek,
+    };
+    CONFIG.CLUSTERING.MAX_STORES_PER_DAY = merchandiser.maxStoresPerDay;
+
+    try {
+      return callback();
+    } finally {
+      CONFIG.START = saved.start;
+      CONFIG.MERCHANDISER = saved.profile;
+      CONFIG.CLUSTERING.MAX_STORES_PER_DAY = saved.maxStores;
+    }
+  }
+}
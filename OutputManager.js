@@ -1,33 +1,138 @@
 // ==================== OUTPUT MANAGER - SIMPLIFIED ====================
 class OutputManager {
-  constructor(ss) {
+  constructor(ss, targetMonth = null, merchandiser = null) {
     this.ss = ss;
-    this.dateCalculator = new DateCalculator();
+    this.merchandiser = merchandiser; // Set for per-person team plans
+    this.dateCalculator = new DateCalculator(
+      targetMonth,
+      null,
+      merchandiser ? merchandiser.workWeek : null
+    );
   }
 
   // Main sheet creation methods
   createEnhancedSheet(planResult, utilConfig, allStores) {
     const sheetName = this.generateSheetName("Enhanced MY Callplan");
     const sheet = this.createOrClearSheet(sheetName);
-    this.writeContent(sheet, planResult, utilConfig, true);
+    this.writeContent(sheet, planResult, utilConfig, true, allStores);
     this.formatSheet(sheet);
+    return sheetName;
   }
 
   createSheet(planResult, utilConfig, allStores) {
     const sheetName = this.generateSheetName("MY Callplan");
     const sheet = this.createOrClearSheet(sheetName);
-    this.writeContent(sheet, planResult, utilConfig, false);
+    this.writeContent(sheet, planResult, utilConfig, false, allStores);
+    this.formatSheet(sheet);
+    return sheetName;
+  }
+
+  // Roll-up of every merchandiser's plan for the month
+  createTeamSummarySheet(teamResults) {
+    const sheetName = this.generateSheetName(CONFIG.TEAM.SUMMARY_PREFIX);
+    const sheet = this.createOrClearSheet(sheetName);
+    let row = 1;
+
+    sheet
+      .getRange(row, 1)
+      .setValue("TEAM MONTHLY PLAN SUMMARY")
+      .setFontSize(16)
+      .setFontWeight("bold");
+    sheet.getRange(row, 9).setValue(new Date().toLocaleString("en-MY"));
+    sheet.getRange(row + 1, 1).setValue(`Run Seed: ${RunSeed.getSeed()}`);
+    row += 2;
+
+    const headers = [
+      "Merchandiser",
+      "ID",
+      "Work Week",
+      "Working Days",
+      "Territory Stores",
+      "Visits Required",
+      "Visits Planned",
+      "Coverage",
+      "Total Distance",
+      "Plan Sheet",
+    ];
+    sheet
+      .getRange(row, 1, 1, headers.length)
+      .setValues([headers])
+      .setFontWeight("bold");
+    row++;
+
+    // Coverage is measured against the territory, not just what got routed
+    const percent = (planned, required) =>
+      (required > 0 ? Math.round((planned / required) * 100) : 0) + "%";
+    const totals = { stores: 0, required: 0, planned: 0, distance: 0 };
+
+    // Counted on the final days, after consolidation added and trimmed visits
+    const data = teamResults.map((result) => {
+      const workingDays = result.planResult
+        ? result.planResult.workingDays
+        : [];
+      const planned = Array.from(
+        Utils.countPlannedVisits(workingDays).values()
+      ).reduce((sum, count) => sum + count, 0);
+      const distance = workingDays.reduce(
+        (sum, week) =>
+          sum +
+          week.reduce(
+            (weekSum, dayInfo) =>
+              weekSum + Utils.getDayDistance(dayInfo.optimizedStores),
+            0
+          ),
+        0
+      );
+
+      totals.stores += result.storeCount;
+      totals.required += result.visitCount;
+      totals.planned += planned;
+      totals.distance += distance;
+
+      return [
+        result.merchandiser.name,
+        result.merchandiser.id,
+        result.merchandiser.workWeek,
+        result.merchandiser.workingDayCount,
+        result.storeCount,
+        result.visitCount,
+        planned,
+        percent(planned, result.visitCount),
+        distance.toFixed(1) + " km",
+        result.error ? `Failed: ${result.error}` : result.sheetName || "-",
+      ];
+    });
+
+    data.push([
+      "TEAM TOTAL",
+      "",
+      "",
+      "",
+      totals.stores,
+      totals.required,
+      totals.planned,
+      percent(totals.planned, totals.required),
+      totals.distance.toFixed(1) + " km",
+      "",
+    ]);
+    sheet.getRange(row, 1, data.length, headers.length).setValues(data);
+    sheet
+      .getRange(row + data.length - 1, 1, 1, headers.length)
+      .setFontWeight("bold");
+
     this.formatSheet(sheet);
+    return sheetName;
   }
 
   // Write content to sheet
-  writeContent(sheet, planResult, utilConfig, isEnhanced) {
+  writeContent(sheet, planResult, utilConfig, isEnhanced, allStores = null) {
     const {
       workingDays,
       unvisitedStores,
       statistics,
       p1VisitFrequency,
       hasW5,
+      daysOff,
     } = planResult;
 
     let row = 1;
@@ -44,12 +149,13 @@ class OutputManager {
     sheet.getRange(row, 9).setValue(new Date().toLocaleString("en-MY"));
     row += 2;
 
-    // Summary
+    // Summary, with the marginal tier as it was planned
     const summaryData = this.buildSummaryData(
       statistics,
-      utilConfig,
+      UtilizationManager.settleMarginalTier(utilConfig, workingDays, allStores),
       p1VisitFrequency,
-      hasW5
+      hasW5,
+      this.countWindowMisses(workingDays)
     );
     sheet
       .getRange(row, 1)
@@ -60,6 +166,11 @@ class OutputManager {
     sheet.getRange(row, 1, summaryData.length, 2).setValues(summaryData);
     row += summaryData.length + 2;
 
+    // Holidays and leave removed from the month
+    if (daysOff && daysOff.length > 0) {
+      row = this.writeDaysOff(sheet, row, daysOff);
+    }
+
     // Weekly routes
     workingDays.forEach((week, weekIdx) => {
       row = this.writeWeek(sheet, row, week, weekIdx);
@@ -71,8 +182,17 @@ class OutputManager {
     }
   }
 
-  buildSummaryData(statistics, utilConfig, p1VisitFrequency, hasW5) {
+  buildSummaryData(
+    statistics,
+    utilConfig,
+    p1VisitFrequency,
+    hasW5,
+    windowMisses = 0
+  ) {
     const data = [
+      ["Plan Month:", this.dateCalculator.getMonthLabel()],
+      ["Work Week:", this.dateCalculator.getWorkWeekLabel()],
+      ["Run Seed:", RunSeed.getSeed()], // Same seed + same inputs = same plan
       ["Total Stores to Visit:", statistics.totalStoresRequired || 0],
       ["Stores Planned:", statistics.totalStoresPlanned || 0],
       ["Coverage:", (statistics.coveragePercentage || 0) + "%"],
@@ -84,6 +204,24 @@ class OutputManager {
       ["Utilization:", utilConfig.utilization.toFixed(1) + "%"],
     ];
 
+    if (this.merchandiser) {
+      data.splice(1, 0, [
+        "Merchandiser:",
+        `${this.merchandiser.name} (${this.merchandiser.id})`,
+      ]);
+    }
+
+    if (utilConfig.reasoning) {
+      data.push(["Utilization Basis:", utilConfig.reasoning]);
+    }
+
+    if (windowMisses > 0) {
+      data.push(["Opening Hours Missed:", windowMisses + " visits"]);
+    }
+
+    data.push(...this.buildCapacityRows(utilConfig));
+    data.push(...this.buildMarginalRows(utilConfig.marginalTier));
+
     // Add enhanced stats if available
     if (statistics.crossBorderOptimization) {
       data.push(
@@ -105,6 +243,53 @@ class OutputManager {
     return data;
   }
 
+  // Workload estimate per priority set, so the choice can be checked
+  buildCapacityRows(utilConfig) {
+    const capacity = utilConfig.capacity;
+    if (!capacity || capacity.source !== "MODEL") return [];
+
+    const selected = utilConfig.includePriorities.join(",");
+    const rows = [
+      ["", ""],
+      ["CAPACITY MODEL:", ""],
+      [
+        "Available Time:",
+        `${capacity.availableMinutes} min over ${capacity.dayCount} days`,
+      ],
+    ];
+    capacity.sets
+      .filter((set) => set.addsStores)
+      .forEach((set) => {
+        const marker = set.key === selected ? " - planned" : "";
+        rows.push([
+          set.key + ":",
+          `${set.requiredMinutes} min, ${set.storeCount} stores ` +
+            `(${set.utilization.toFixed(1)}%)${marker}`,
+        ]);
+      });
+    return rows;
+  }
+
+  // Stores taken from a partly included priority, each with its reason
+  buildMarginalRows(marginalTier) {
+    if (!marginalTier) return [];
+
+    const rankBy = marginalTier.rankBy.toLowerCase().replace("_", " ");
+    return [
+      ["", ""],
+      [`MARGINAL TIER (${marginalTier.priority}):`, ""],
+      [
+        "Included:",
+        `${marginalTier.stores.length} of ${marginalTier.candidateCount} ` +
+          `stores (${marginalTier.usedMinutes} min), ranked by ${rankBy}`,
+      ],
+      ...marginalTier.stores.map((store) => [
+        `${store.name} (${store.noStr})`,
+        store.reason,
+      ]),
+    ];
+  }
+
   writeWeek(sheet, row, week, weekIdx) {
     const weekStats = this.calculateWeekStats(week);
 
@@ -137,11 +322,19 @@ class OutputManager {
     const dayStats = this.calculateDayStats(stores);
 
     // Day header
-    const dayName =
-      dayInfo.dayName + " - " + this.dateCalculator.formatDate(dayInfo.date);
+    const dayName = this.formatDayHeader(dayInfo);
     sheet.getRange(row, 1).setValue(dayName).setFontWeight("bold");
     sheet.getRange(row, 3).setValue(dayStats.storeCount + " stores");
-    sheet.getRange(row, 4).setValue(dayStats.distance.toFixed(1) + " km");
+    const distanceCell = sheet
+      .getRange(row, 4)
+      .setValue(dayStats.distance.toFixed(1) + " km");
+    if (Utils.exceedsDailyDistance(dayStats.distance)) {
+      distanceCell
+        .setFontColor("#d32f2f")
+        .setNote(
+          `Over the ${CONFIG.TRAVEL_LIMITS.MAX_DAILY_DISTANCE} km daily limit`
+        );
+    }
     sheet.getRange(row, 5).setValue(Math.round(dayStats.duration) + " min");
     row++;
 
@@ -164,9 +357,11 @@ class OutputManager {
       .setFontWeight("bold");
     row++;
 
-    // Store details
+    // Store details, with meetings and office time where they happen
     stores.forEach((store, index) => {
-      const storeData = this.buildStoreRowData(store, index, stores);
+      row = this.writeBlockRows(sheet, row, store.blocksBefore);
+
+      const storeData = this.buildStoreRowData(store, index, stores, dayInfo);
       sheet.getRange(row, 1, 1, storeData.length).setValues([storeData]);
 
       // Highlight time violations
@@ -175,22 +370,105 @@ class OutputManager {
           .getRange(row, 1, 1, storeData.length)
           .setBackground("#ffcdd2")
           .setFontColor("#d32f2f");
+      } else if (store.windowViolation) {
+        sheet.getRange(row, 1, 1, storeData.length).setBackground("#ffe0b2");
+      }
+
+      // Stores visited together in one mall or building
+      const mallStores = store.mallClusterId
+        ? stores.filter((other) => other.mallClusterId === store.mallClusterId)
+        : [];
+      if (mallStores.length > 1) {
+        sheet
+          .getRange(row, 3)
+          .setNote(Utils.formatMallInfo(Utils.analyzeMallCluster(mallStores)));
+      }
+
+      // Explain visits that fall outside the store's opening hours
+      if (store.windowViolation) {
+        sheet
+          .getRange(row, 8)
+          .setNote(`Outside opening hours (${Utils.formatTimeWindow(store)})`);
       }
       row++;
     });
+    row = this.writeBlockRows(
+      sheet,
+      row,
+      stores[stores.length - 1].blocksAfter
+    );
 
     return row + 1;
   }
 
+  // Fixed blocks (see DayBlocks) as grey rows in the day's timeline
+  writeBlockRows(sheet, row, blocks) {
+    (blocks || []).forEach((block) => {
+      const blockData = [
+        "",
+        "",
+        block.name,
+        "",
+        block.location ? block.location.locationName : "",
+        "",
+        "",
+        Utils.formatTime(block.arrivalTime),
+        Utils.formatTime(block.departTime),
+        (block.distance || 0).toFixed(1) + " km",
+      ];
+      sheet
+        .getRange(row, 1, 1, blockData.length)
+        .setValues([blockData])
+        .setBackground("#eeeeee")
+        .setFontStyle("italic");
+      row++;
+    });
+    return row;
+  }
+
   writeEmptyDay(sheet, row, dayInfo) {
-    const dayName =
-      dayInfo.dayName + " - " + this.dateCalculator.formatDate(dayInfo.date);
+    const dayName = this.formatDayHeader(dayInfo);
     sheet.getRange(row, 1).setValue(dayName).setFontWeight("bold");
     sheet
       .getRange(row, 3)
       .setValue("❌ NO STORES SCHEDULED")
       .setFontColor("#d32f2f");
-    return row + 2;
+
+    // Blocks still happen at their planned times
+    const blocks = (dayInfo.blocks || []).map((block) => ({
+      ...block,
+      arrivalTime: block.start,
+      departTime: block.end,
+    }));
+    return this.writeBlockRows(sheet, row + 1, blocks) + 1;
+  }
+
+  writeDaysOff(sheet, row, daysOff) {
+    sheet
+      .getRange(row, 1)
+      .setValue("HOLIDAYS & LEAVE")
+      .setFontSize(14)
+      .setFontWeight("bold");
+    row++;
+
+    const headers = ["Date", "Description", "Scope", "Duration"];
+    sheet
+      .getRange(row, 1, 1, headers.length)
+      .setValues([headers])
+      .setFontWeight("bold");
+    row++;
+
+    const data = daysOff.map((dayOff) => [
+      this.dateCalculator.formatDate(dayOff.date),
+      dayOff.name,
+      dayOff.scope,
+      dayOff.isHalfDay
+        ? `Half day (until ${Utils.formatTime(CONFIG.HOLIDAYS.HALF_DAY_END)})`
+        : "Full day",
+    ]);
+    sheet.getRange(row, 1, data.length, headers.length).setValues(data);
+
+    return row + data.length + 2;
   }
 
   writeUnvisitedStores(sheet, row, unvisitedStores) {
@@ -214,6 +492,7 @@ class OutputManager {
       "Priority",
       "Frequency",
       "District",
+      "Reason",
     ];
     sheet
       .getRange(row, 1, 1, headers.length)
@@ -230,6 +509,7 @@ class OutputManager {
         store.priority,
         Utils.formatFrequency(store.baseFrequency || 0),
         store.district,
+        store.unscheduledReason || "",
       ];
       sheet.getRange(row, 1, 1, data.length).setValues([data]);
       row++;
@@ -245,23 +525,31 @@ class OutputManager {
   }
 
   // Helper methods
+  formatDayHeader(dayInfo) {
+    let header =
+      dayInfo.dayName + " - " + this.dateCalculator.formatDate(dayInfo.date);
+    if (dayInfo.isHalfDay) header += ` (Half day: ${dayInfo.holidayName})`;
+    if (dayInfo.hoursProfile) {
+      header += ` (${dayInfo.hoursProfile} hours: ${Utils.formatTime(
+        Utils.getWorkStart(dayInfo)
+      )}-${Utils.formatTime(Utils.getWorkEnd(dayInfo))})`;
+    }
+
+    // Days that start or end away from home say where
+    const places = [];
+    if (dayInfo.startLocation) {
+      places.push(`from ${dayInfo.startLocation.locationName}`);
+    }
+    if (dayInfo.endLocation) {
+      places.push(`to ${dayInfo.endLocation.locationName}`);
+    }
+    return places.length > 0 ? `${header} [${places.join(", ")}]` : header;
+  }
+
   generateSheetName(prefix) {
-    const currentDate = new Date();
-    const monthNames = [
-      "January",
-      "February",
-      "March",
-      "April",
-      "May",
-      "June",
-      "July",
-      "August",
-      "September",
-      "October",
-      "November",
-      "December",
-    ];
-    return `${prefix} - ${monthNames[currentDate.getMonth()]}`;
+    // Include the year so December and January plans never collide
+    const owner = this.merchandiser ? ` - ${this.merchandiser.name}` : "";
+    return `${prefix}${owner} - ${this.dateCalculator.getMonthLabel()}`;
   }
 
   createOrClearSheet(sheetName) {
@@ -290,42 +578,62 @@ class OutputManager {
         sum + (dayInfo.optimizedStores ? dayInfo.optimizedStores.length : 0),
       0
     );
-    const distance = week.reduce((sum, dayInfo) => {
-      if (dayInfo.optimizedStores) {
-        return (
-          sum +
-          dayInfo.optimizedStores.reduce(
-            (daySum, store) => daySum + (store.distance || 0),
-            0
-          )
-        );
-      }
-      return sum;
-    }, 0);
+    const distance = week.reduce(
+      (sum, dayInfo) => sum + Utils.getDayDistance(dayInfo.optimizedStores),
+      0
+    );
     return { stores, distance };
   }
 
+  // Distance and minutes include blocks and the drive back after the last
+  // store
   calculateDayStats(stores) {
     const storeCount = stores.length;
-    const distance = stores.reduce(
-      (sum, store) => sum + (store.distance || 0),
-      0
-    );
-    const duration = stores.reduce(
-      (sum, store) =>
+    const distance = Utils.getDayDistance(stores);
+    const last = storeCount > 0 ? stores[storeCount - 1] : {};
+    const blockMinutes = (blocks) =>
+      (blocks || []).reduce(
+        (sum, block) =>
+          sum + block.duration + block.departTime - block.arrivalTime,
+        0
+      );
+    const duration =
+      (last.returnDuration || 0) +
+      blockMinutes(last.blocksAfter) +
+      stores.reduce(
+        (sum, store) =>
+          sum +
+          blockMinutes(store.blocksBefore) +
+          (store.duration || 0) +
+          (store.waitTime || 0) +
+          CONFIG.BUFFER_TIME +
+          (store.visitTime || CONFIG.DEFAULT_VISIT_TIME),
+        0
+      );
+    return { storeCount, distance, duration };
+  }
+
+  countWindowMisses(workingDays) {
+    return workingDays.reduce(
+      (sum, week) =>
         sum +
-        (store.duration || 0) +
-        CONFIG.BUFFER_TIME +
-        (store.visitTime || CONFIG.DEFAULT_VISIT_TIME),
+        week.reduce(
+          (weekSum, dayInfo) =>
+            weekSum +
+            (dayInfo.optimizedStores || []).filter(
+              (store) => store.windowViolation
+            ).length,
+          0
+        ),
       0
     );
-    return { storeCount, distance, duration };
   }
 
-  buildStoreRowData(store, index, stores) {
+  buildStoreRowData(store, index, stores, dayInfo = null) {
     const { fromLat, fromLng, linkText } = this.getNavigationInfo(
       stores,
-      index
+      index,
+      dayInfo
     );
     const mapsUrl = Utils.mapsLink(fromLat, fromLng, store.lat, store.lng);
 
@@ -343,12 +651,29 @@ class OutputManager {
     ];
   }
 
-  getNavigationInfo(stores, index) {
+  // The first link starts where the day actually starts; a store after a
+  // block at another location is reached from there
+  getNavigationInfo(stores, index, dayInfo = null) {
+    const located = (stores[index].blocksBefore || []).filter(
+      (block) => block.location
+    );
+    if (located.length > 0) {
+      const location = located[located.length - 1].location;
+      return {
+        fromLat: location.lat,
+        fromLng: location.lng,
+        linkText: `From ${location.locationName.substring(0, 15)}`,
+      };
+    }
+
     if (index === 0) {
+      const start = TravelProvider.start(dayInfo);
       return {
-        fromLat: CONFIG.START.LAT,
-        fromLng: CONFIG.START.LNG,
-        linkText: "From Start",
+        fromLat: start.lat,
+        fromLng: start.lng,
+        linkText: start.locationName
+          ? `From ${start.locationName.substring(0, 15)}`
+          : "From Start",
       };
     }
 
@@ -28,12 +28,19 @@ class PostProcessingDeduplicator {
   }
 
   // NEW: Layered consolidation using your algorithm
-  static consolidateSmallDays(workingDays) {
+  static consolidateSmallDays(
+    workingDays,
+    visitHistory = null,
+    excludedNoStrs = null
+  ) {
     Utils.log("=== STARTING LAYERED PRIORITY CONSOLIDATION ===", "INFO");
 
     // Use the new layered priority optimizer
-    const layeredResult =
-      LayeredPriorityOptimizer.optimizeWorkingDays(workingDays);
+    const layeredResult = LayeredPriorityOptimizer.optimizeWorkingDays(
+      workingDays,
+      visitHistory,
+      excludedNoStrs
+    );
 
     // Convert to the expected format for main system compatibility
     const consolidationResult =
@@ -69,6 +76,7 @@ class PostProcessingDeduplicator {
       p3StoresAdded: totalP3Added, // New field for P3 tracking
       emptyDaysFilled: this.calculateEmptyDaysFilled(layeredResult),
       daysToppedup: this.calculateDaysToppedup(layeredResult),
+      droppedStores: layeredResult.droppedStores || [],
 
       // Additional layered-specific metrics
       layeredMetrics: {
@@ -154,6 +162,10 @@ class PostProcessingDeduplicator {
       `• Time violations handled: ${layeredResult.phase4_final.timeViolations}`,
       "INFO"
     );
+    Utils.log(
+      `• Distance violations handled: ${layeredResult.phase4_final.distanceViolations}`,
+      "INFO"
+    );
     Utils.log(
       `• Final active days: ${layeredResult.phase4_final.finalDaysCount}`,
       "INFO"
@@ -183,6 +195,12 @@ class PostProcessingDeduplicator {
         "WARN"
       );
     }
+    if (layeredResult.phase4_final.distanceViolations > 0) {
+      Utils.log(
+        `⚠️ ${layeredResult.phase4_final.distanceViolations} days required distance trimming`,
+        "WARN"
+      );
+    }
 
     Utils.log(
       "🎯 LAYERED OPTIMIZATION: P1 Foundation → P2 Enhancement → P3 Enhancement → Time Validation",
@@ -313,14 +331,19 @@ class PostProcessingDeduplicator {
 
   static selectSingleBestStore(stores) {
     return stores.sort((a, b) => {
+      const clashA = this.isOnDisallowedDay(a) ? 1 : 0;
+      const clashB = this.isOnDisallowedDay(b) ? 1 : 0;
+      if (clashA !== clashB) {
+        return clashA - clashB;
+      }
+
       if (a.globalDayIndex !== b.globalDayIndex) {
         return a.globalDayIndex - b.globalDayIndex;
       }
 
-      const priorityA = parseInt(a.priority?.replace("P", "")) || 999;
-      const priorityB = parseInt(b.priority?.replace("P", "")) || 999;
-      if (priorityA !== priorityB) {
-        return priorityA - priorityB;
+      const valueOrder = StoreValue.compare(a, b);
+      if (valueOrder !== 0) {
+        return valueOrder;
       }
 
       const violationA = a.isAfter6PM || a.timeWarning ? 1 : 0;
@@ -341,7 +364,11 @@ class PostProcessingDeduplicator {
     const selectedStores = [];
     let lastSelectedDay = -10;
 
-    for (const store of sortedStores) {
+    // Only appearances on allowed weekdays compete for the spaced slots
+    const allowedStores = sortedStores.filter(
+      (s) => !this.isOnDisallowedDay(s)
+    );
+    for (const store of allowedStores) {
       if (store.globalDayIndex - lastSelectedDay >= 5) {
         selectedStores.push(store);
         lastSelectedDay = store.globalDayIndex;
@@ -371,10 +398,15 @@ class PostProcessingDeduplicator {
   static selectBestFromRemaining(remainingStores, count) {
     return remainingStores
       .sort((a, b) => {
-        const priorityA = parseInt(a.priority?.replace("P", "")) || 999;
-        const priorityB = parseInt(b.priority?.replace("P", "")) || 999;
-        if (priorityA !== priorityB) {
-          return priorityA - priorityB;
+        const clashA = this.isOnDisallowedDay(a) ? 1 : 0;
+        const clashB = this.isOnDisallowedDay(b) ? 1 : 0;
+        if (clashA !== clashB) {
+          return clashA - clashB;
+        }
+
+        const valueOrder = StoreValue.compare(a, b);
+        if (valueOrder !== 0) {
+          return valueOrder;
         }
 
         const violationA = a.isAfter6PM || a.timeWarning ? 1 : 0;
@@ -388,6 +420,10 @@ class PostProcessingDeduplicator {
       .slice(0, count);
   }
 
+  static isOnDisallowedDay(store) {
+    return !Utils.isDayAllowed(store, store.dayInfo);
+  }
+
   static updateWorkingDaysWithCleanedStores(workingDays, finalStores) {
     // Clear all existing stores
     workingDays.forEach((week) => {
@@ -0,0 +1,298 @@
+// ==================== ROUTE IMPROVER - DAY SEQUENCING ====================
+// Every optimizer orders a day's visits here: nearest neighbour to start,
+// then 2-opt, Or-opt and 3-opt moves until none helps, scored by
+// CONFIG.ROUTE_IMPROVEMENT.OBJECTIVE. Moves are priced incrementally: km
+// from a leg matrix in constant time, timed objectives by re-running the
+// day (see TimeWindowSequencer) only from the first visit a move changes.
+class RouteImprover {
+  constructor(stores, dayInfo = null) {
+    this.stores = stores;
+    this.dayInfo = dayInfo;
+    this.objective = RouteImprover.getObjective();
+
+    // Leg km between stores; index n is the day's start, n + 1 its end
+    const points = [
+      ...stores,
+      TravelProvider.start(dayInfo),
+      TravelProvider.end(dayInfo),
+    ];
+    this.km = points.map((from) =>
+      points.map((to) => (from === to ? 0 : TravelProvider.leg(from, to).km))
+    );
+  }
+
+  // Nearest neighbour order, then improved
+  static sequence(stores, dayInfo = null) {
+    return RouteImprover.improve(
+      RouteImprover.nearestNeighbour(stores, dayInfo),
+      dayInfo
+    );
+  }
+
+  // The given order, improved until no move helps
+  static improve(stores, dayInfo = null) {
+    if (!stores || stores.length < 3) return stores;
+    return new RouteImprover(stores, dayInfo).run();
+  }
+
+  static nearestNeighbour(stores, dayInfo = null) {
+    if (!stores || stores.length <= 2) return stores;
+
+    const route = [];
+    const remaining = [...stores];
+    let current = TravelProvider.start(dayInfo);
+
+    while (remaining.length > 0) {
+      let nearestIdx = 0;
+      let minDist = Infinity;
+
+      remaining.forEach((store, idx) => {
+        const dist = TravelProvider.leg(current, store).km;
+        if (dist < minDist) {
+          minDist = dist;
+          nearestIdx = idx;
+        }
+      });
+
+      const nearest = remaining.splice(nearestIdx, 1)[0];
+      route.push(nearest);
+      current = nearest;
+    }
+
+    return route;
+  }
+
+  static getObjective() {
+    const name = CONFIG.ROUTE_IMPROVEMENT.OBJECTIVE;
+    if (["DISTANCE", "FINISH_TIME", "LATENESS"].includes(name)) return name;
+
+    if (RouteImprover.warned !== name) {
+      Utils.log(`Unknown route objective "${name}", using DISTANCE`, "WARN");
+      RouteImprover.warned = name;
+    }
+    return "DISTANCE";
+  }
+
+  run() {
+    this.accept(this.stores.map((_, idx) => idx));
+
+    for (let moves = 0; moves < CONFIG.ROUTE_IMPROVEMENT.MAX_MOVES; moves++) {
+      const better =
+        this.findTwoOpt() || this.findOrOpt() || this.findThreeOpt();
+      if (!better) break;
+      this.accept(better.order, better.score);
+    }
+
+    return this.order.map((idx) => this.stores[idx]);
+  }
+
+  // Make an order the current one, with its running km both ways round and,
+  // for timed objectives, the day's state after each visit
+  accept(order, score = null) {
+    this.order = order;
+    this.forwardKm = [0];
+    this.backwardKm = [0];
+    for (let k = 1; k < order.length; k++) {
+      this.forwardKm.push(
+        this.forwardKm[k - 1] + this.leg(order[k - 1], order[k])
+      );
+      this.backwardKm.push(
+        this.backwardKm[k - 1] + this.leg(order[k], order[k - 1])
+      );
+    }
+
+    if (this.objective === "DISTANCE") {
+      const km =
+        this.leg(this.at(-1), order[0]) +
+        this.forwardKm[order.length - 1] +
+        this.leg(order[order.length - 1], this.at(order.length));
+      this.score = score || { cost: km, km };
+      return;
+    }
+
+    this.states = [TimeWindowSequencer.begin(this.dayInfo)];
+    order.forEach((idx) =>
+      this.states.push(
+        TimeWindowSequencer.visit(
+          this.states[this.states.length - 1],
+          this.stores[idx],
+          this.dayInfo
+        )
+      )
+    );
+    this.score =
+      score ||
+      this.toScore(
+        TimeWindowSequencer.finish(
+          this.states[this.states.length - 1],
+          this.dayInfo
+        )
+      );
+  }
+
+  // Reverse order[i..j]
+  findTwoOpt() {
+    const order = this.order;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        const before = this.at(i - 1);
+        const after = this.at(j + 1);
+        const kmDelta =
+          this.leg(before, order[j]) +
+          (this.backwardKm[j] - this.backwardKm[i]) +
+          this.leg(order[i], after) -
+          this.leg(before, order[i]) -
+          (this.forwardKm[j] - this.forwardKm[i]) -
+          this.leg(order[j], after);
+
+        const better = this.tryMove(i, kmDelta, () => [
+          ...order.slice(0, i),
+          ...order.slice(i, j + 1).reverse(),
+          ...order.slice(j + 1),
+        ]);
+        if (better) return better;
+      }
+    }
+    return null;
+  }
+
+  // Move a run of up to three visits elsewhere, either way round
+  findOrOpt() {
+    const order = this.order;
+    for (let length = 1; length <= 3 && length < order.length; length++) {
+      for (let i = 0; i + length <= order.length; i++) {
+        const first = order[i];
+        const last = order[i + length - 1];
+        const forward = this.forwardKm[i + length - 1] - this.forwardKm[i];
+        const backward = this.backwardKm[i + length - 1] - this.backwardKm[i];
+        const removeDelta =
+          this.leg(this.at(i - 1), this.at(i + length)) -
+          this.leg(this.at(i - 1), first) -
+          this.leg(last, this.at(i + length)) -
+          forward;
+
+        const segment = order.slice(i, i + length);
+        const rest = [...order.slice(0, i), ...order.slice(i + length)];
+        for (let k = 0; k <= rest.length; k++) {
+          if (k === i) continue; // Where it already is
+
+          const before = k === 0 ? this.stores.length : rest[k - 1];
+          const after = k === rest.length ? this.stores.length + 1 : rest[k];
+          const gap = this.leg(before, after);
+          const from = Math.min(i, k);
+
+          const better =
+            this.tryMove(
+              from,
+              removeDelta +
+                this.leg(before, first) +
+                forward +
+                this.leg(last, after) -
+                gap,
+              () => [...rest.slice(0, k), ...segment, ...rest.slice(k)]
+            ) ||
+            (length > 1 &&
+              this.tryMove(
+                from,
+                removeDelta +
+                  this.leg(before, last) +
+                  backward +
+                  this.leg(first, after) -
+                  gap,
+                () => [
+                  ...rest.slice(0, k),
+                  ...[...segment].reverse(),
+                  ...rest.slice(k),
+                ]
+              ));
+          if (better) return better;
+        }
+      }
+    }
+    return null;
+  }
+
+  // Swap two neighbouring runs, order[i..j-1] and order[j..k]
+  findThreeOpt() {
+    const order = this.order;
+    for (let i = 0; i < order.length - 1; i++) {
+      for (let j = i + 1; j < order.length; j++) {
+        for (let k = j; k < order.length; k++) {
+          const before = this.at(i - 1);
+          const after = this.at(k + 1);
+          const kmDelta =
+            this.leg(before, order[j]) +
+            this.leg(order[k], order[i]) +
+            this.leg(order[j - 1], after) -
+            this.leg(before, order[i]) -
+            this.leg(order[j - 1], order[j]) -
+            this.leg(order[k], after);
+
+          const better = this.tryMove(i, kmDelta, () => [
+            ...order.slice(0, i),
+            ...order.slice(j, k + 1),
+            ...order.slice(i, j),
+            ...order.slice(k + 1),
+          ]);
+          if (better) return better;
+        }
+      }
+    }
+    return null;
+  }
+
+  // A move that changes the order from position `from` on. Distance only
+  // needs its km delta; timed objectives re-run the day from there.
+  tryMove(from, kmDelta, build) {
+    if (this.objective === "DISTANCE") {
+      if (kmDelta >= -1e-9) return null; // Float noise is no improvement
+      const km = this.score.km + kmDelta;
+      return { order: build(), score: { cost: km, km } };
+    }
+
+    const order = build();
+    let state = this.states[from];
+    for (let k = from; k < order.length; k++) {
+      state = TimeWindowSequencer.visit(
+        state,
+        this.stores[order[k]],
+        this.dayInfo
+      );
+    }
+    const score = this.toScore(TimeWindowSequencer.finish(state, this.dayInfo));
+    return this.isBetter(score, this.score) ? { order, score } : null;
+  }
+
+  // FINISH_TIME: back at the end location earliest. LATENESS: the same, plus
+  // LATENESS_PENALTY per minute past closing times or the end of work.
+  // Shorter km breaks ties.
+  toScore(day) {
+    if (this.objective !== "LATENESS") return { cost: day.endTime, km: day.km };
+
+    const lateMinutes =
+      day.lateMinutes +
+      Math.max(0, day.endTime - Utils.getWorkEnd(this.dayInfo));
+    return {
+      cost:
+        day.endTime + lateMinutes * CONFIG.ROUTE_IMPROVEMENT.LATENESS_PENALTY,
+      km: day.km,
+    };
+  }
+
+  isBetter(a, b) {
+    if (Math.abs(a.cost - b.cost) > 1e-9) return a.cost < b.cost;
+    return a.km < b.km - 1e-9;
+  }
+
+  // Store index at a route position; before the first is the start, after
+  // the last the end
+  at(position) {
+    if (position < 0) return this.stores.length;
+    if (position >= this.order.length) return this.stores.length + 1;
+    return this.order[position];
+  }
+
+  leg(from, to) {
+    return this.km[from][to];
+  }
+}
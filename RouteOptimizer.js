@@ -1,7 +1,19 @@
 // ==================== ROUTE OPTIMIZER - FIXED WITH STAGE-BY-STAGE DEDUPLICATION ====================
 class RouteOptimizer {
-  constructor() {
-    this.dateCalculator = new DateCalculator();
+  constructor(
+    targetMonth = null,
+    holidayCalendar = null,
+    workWeek = null,
+    dayLocations = null,
+    dayBlocks = null
+  ) {
+    this.dateCalculator = new DateCalculator(
+      targetMonth,
+      holidayCalendar,
+      workWeek,
+      dayLocations,
+      dayBlocks
+    );
     this.workingDays = this.dateCalculator.getMonthlyWorkingDays();
     this.flatDays = this.flattenWorkingDays();
     this.useEnhancedOptimization = true;
@@ -57,11 +69,7 @@ class RouteOptimizer {
       "PRE-CLUSTERING"
     );
 
-    const optimalK = this.calculateOptimalClusters(preclusteringStores.length);
-    const clusters = this.performKMeansClusteringFixed(
-      preclusteringStores,
-      optimalK
-    );
+    const clusters = this.clusterStores(preclusteringStores);
 
     // STAGE 2: POST-CLUSTERING VERIFICATION
     const verifiedClusters = this.verifyClustersForDuplicates(clusters);
@@ -185,6 +193,200 @@ class RouteOptimizer {
     return unique;
   }
 
+  // CONFIG.CLUSTERING.GEOGRAPHIC.CLUSTERING_METHOD picks the clusterer
+  clusterStores(stores) {
+    const method = CONFIG.CLUSTERING.GEOGRAPHIC.CLUSTERING_METHOD;
+    if (method === "BALANCED") return this.performBalancedClustering(stores);
+    if (method === "DBSCAN") return this.performDbscanClustering(stores);
+
+    if (method !== "KMEANS") {
+      Utils.log(`Unknown clustering method "${method}", using KMEANS`, "WARN");
+    }
+    return this.performKMeansClusteringFixed(
+      stores,
+      this.calculateOptimalClusters(stores.length)
+    );
+  }
+
+  // NEW: Capacity-constrained k-means. No cluster takes more visits or
+  // estimated minutes than a typical day, with enough clusters (up to one
+  // per working day) for the month's work; visits that fit nowhere are
+  // reported instead of silently dropped.
+  performBalancedClustering(stores) {
+    const limits = this.getClusterLimits();
+    const totalMinutes = stores.reduce(
+      (sum, store) => sum + Utils.estimateStoreMinutes(store),
+      0
+    );
+    const k = Math.min(
+      this.flatDays.length,
+      Math.max(
+        this.calculateOptimalClusters(stores.length),
+        Math.ceil(stores.length / Math.max(1, limits.stores)),
+        Math.ceil(totalMinutes / Math.max(1, limits.minutes))
+      )
+    );
+    if (stores.length === 0 || k === 0) return [];
+
+    Utils.log(
+      `🔗 Starting balanced clustering: ${stores.length} stores into ${k} clusters of up to ${limits.stores} stores / ${limits.minutes} min`,
+      "INFO"
+    );
+
+    const centroids = this.initializeCentroidsKMeansPlusPlus(
+      stores,
+      Math.min(k, stores.length)
+    );
+    const { clusters, leftovers } = new BalancedClusterer(limits).cluster(
+      stores,
+      centroids
+    );
+
+    clusters.forEach((cluster, idx) => {
+      const minutes = cluster.reduce(
+        (sum, store) => sum + Utils.estimateStoreMinutes(store),
+        0
+      );
+      Utils.log(
+        `   Cluster ${idx + 1}: ${cluster.length} stores, ~${minutes} min`,
+        "INFO"
+      );
+    });
+
+    if (leftovers.length > 0) {
+      Utils.log(
+        `⚠️ Balanced clustering: ${leftovers.length} visits did not fit in ${k} day-sized clusters`,
+        "WARN"
+      );
+      leftovers.forEach((store) =>
+        Utils.markUnscheduled(
+          [store],
+          Utils.estimateStoreMinutes(store) > limits.minutes
+            ? "Visit is longer than a working day"
+            : "No room left in the month's working days"
+        )
+      );
+    }
+
+    return clusters;
+  }
+
+  // NEW: Density-based clusters that follow dense urban pockets instead of
+  // cutting them up. Pockets bigger than a day are split into day-sized
+  // pieces, lone (noise) stores fill nearby clusters with room, and the
+  // rest are grouped into day-sized clusters of their own.
+  performDbscanClustering(stores) {
+    const { RADIUS_KM, MIN_STORES } = CONFIG.CLUSTERING.DBSCAN;
+    const limits = this.getClusterLimits();
+    const { clusters: pockets, noise } = new DbscanClusterer(
+      RADIUS_KM,
+      MIN_STORES
+    ).cluster(stores);
+
+    // Biggest pockets first, so they are given days first
+    const clusters = [];
+    pockets
+      .sort((a, b) => b.length - a.length)
+      .forEach((pocket) =>
+        clusters.push(...this.splitToDaySize(pocket, limits))
+      );
+    const unplaced = this.addFillers(clusters, noise, limits);
+    clusters.push(...this.splitToDaySize(unplaced, limits));
+
+    Utils.log(
+      `🔗 DBSCAN clustering: ${pockets.length} dense pockets (${
+        stores.length - noise.length
+      } stores) -> ${clusters.length} day-sized clusters; ${
+        noise.length - unplaced.length
+      } of ${noise.length} lone stores added as fillers`,
+      "INFO"
+    );
+    return clusters;
+  }
+
+  // Balanced k-means pieces that each fit a typical day
+  splitToDaySize(stores, limits) {
+    if (stores.length <= 1) return stores.length ? [stores] : [];
+
+    const minutes = stores.reduce(
+      (sum, store) => sum + Utils.estimateStoreMinutes(store),
+      0
+    );
+    const k = Math.min(
+      stores.length,
+      Math.max(
+        Math.ceil(stores.length / Math.max(1, limits.stores)),
+        Math.ceil(minutes / Math.max(1, limits.minutes))
+      )
+    );
+    if (k <= 1) return [stores];
+
+    const { clusters, leftovers } = new BalancedClusterer(limits).cluster(
+      stores,
+      this.initializeCentroidsKMeansPlusPlus(stores, k)
+    );
+    if (leftovers.length === 0) return clusters;
+
+    // An uneven split leaves a few over; they make further pieces
+    return leftovers.length < stores.length
+      ? [...clusters, ...this.splitToDaySize(leftovers, limits)]
+      : [...clusters, leftovers];
+  }
+
+  // Lone stores join the nearest cluster within CONFIG.CLUSTERING.MAX_RADIUS
+  // that still has room; returns the ones that found none
+  addFillers(clusters, fillers, limits) {
+    const loads = clusters.map((cluster) => ({
+      cluster,
+      center: BalancedClusterer.getCenter(cluster),
+      minutes: cluster.reduce(
+        (sum, store) => sum + Utils.estimateStoreMinutes(store),
+        0
+      ),
+    }));
+
+    return fillers.filter((store) => {
+      const minutes = Utils.estimateStoreMinutes(store);
+      let best = null;
+      let bestDistance = CONFIG.CLUSTERING.MAX_RADIUS;
+
+      loads.forEach((load) => {
+        if (load.cluster.length >= limits.stores) return;
+        if (load.minutes + minutes > limits.minutes) return;
+
+        const distance = Utils.distance(
+          store.lat,
+          store.lng,
+          load.center.lat,
+          load.center.lng
+        );
+        if (distance <= bestDistance) {
+          best = load;
+          bestDistance = distance;
+        }
+      });
+
+      if (!best) return true;
+      best.cluster.push(store);
+      best.minutes += minutes;
+      return false;
+    });
+  }
+
+  // A typical (median) working day's room for visits
+  getClusterLimits() {
+    const median = (values) => {
+      const sorted = [...values].sort((a, b) => a - b);
+      return sorted[Math.floor(sorted.length / 2)] || 0;
+    };
+    return {
+      stores: median(this.flatDays.map((day) => Utils.getDayCapacity(day))),
+      minutes: median(
+        this.flatDays.map((day) => Utils.getAvailableMinutes(day))
+      ),
+    };
+  }
+
   // FIXED: K-means clustering with better duplicate prevention
   performKMeansClusteringFixed(stores, k) {
     if (stores.length <= k) {
@@ -445,15 +647,15 @@ class RouteOptimizer {
     // Map each store to the days it appears in
     Object.entries(storesByDay).forEach(([dayIdx, stores]) => {
       stores.forEach((noStr) => {
-        if (!storeTodays[noStr]) {
-          storeTodays[noStr] = [];
+        if (!storeToDays[noStr]) {
+          storeToDays[noStr] = [];
         }
-        storeTodays[noStr].push(parseInt(dayIdx));
+        storeToDays[noStr].push(parseInt(dayIdx));
       });
     });
 
     // Find stores that appear in multiple days
-    return Object.entries(storeTodays)
+    return Object.entries(storeToDays)
       .filter(([noStr, days]) => days.length > 1)
       .map(([noStr, days]) => ({ noStr, days }));
   }
@@ -532,10 +734,19 @@ class RouteOptimizer {
 
         if (gap < 5) {
           const violatingVisit = visits[i];
-          const targetDay = Math.min(
+          let targetDay = Math.min(
             visits[i - 1].dayIdx + 5,
             dayAssignments.length - 1
           );
+          while (
+            targetDay < dayAssignments.length - 1 &&
+            !Utils.isDayAllowed(
+              violatingVisit.store,
+              dayAssignments[targetDay].dayInfo
+            )
+          ) {
+            targetDay++; // Next weekday the store accepts visits
+          }
 
           Utils.log(
             `Moving ${noStr} from day ${violatingVisit.dayIdx} to day ${targetDay} (gap: ${gap} < 5)`,
@@ -556,6 +767,10 @@ class RouteOptimizer {
             // SAFE ADDITION: Add to target day if capacity allows
             if (
               targetDay < dayAssignments.length &&
+              Utils.isDayAllowed(
+                removedStore,
+                dayAssignments[targetDay].dayInfo
+              ) &&
               dayAssignments[targetDay].stores.length <
                 (dayAssignments[targetDay].capacity ||
                   CONFIG.CLUSTERING.MAX_STORES_PER_DAY)
@@ -592,43 +807,59 @@ class RouteOptimizer {
     dayAssignments.forEach((day, dayIdx) => {
       if (day.stores.length === 0) return;
 
-      let currentTime = CONFIG.WORK.START;
+      let currentTime = Utils.getWorkStart(day.dayInfo);
+      let current = TravelProvider.start(day.dayInfo);
+      let distance = 0;
       let violatingStoreIndex = -1;
 
       for (let i = 0; i < day.stores.length; i++) {
         const store = day.stores[i];
-        const distance =
-          i === 0
-            ? Utils.distance(
-                CONFIG.START.LAT,
-                CONFIG.START.LNG,
-                store.lat,
-                store.lng
-              )
-            : Utils.distance(
-                day.stores[i - 1].lat,
-                day.stores[i - 1].lng,
-                store.lat,
-                store.lng
-              );
-
-        currentTime += Math.round(distance * 3);
-
-        // Handle breaks
-        const isFriday = day.dayInfo?.isFriday || false;
-        const breakStart = isFriday
-          ? CONFIG.FRIDAY_PRAYER.START
-          : CONFIG.LUNCH.START;
-        const breakEnd = isFriday ? CONFIG.FRIDAY_PRAYER.END : CONFIG.LUNCH.END;
-
-        if (currentTime >= breakStart && currentTime < breakEnd) {
-          currentTime = breakEnd;
+        const due = Utils.attendBlocks(
+          day.dayInfo,
+          currentTime,
+          current,
+          store
+        );
+        distance += due.blocks.reduce((sum, block) => sum + block.distance, 0);
+        const leg = TravelProvider.leg(due.point, store, due.time, day.dayInfo);
+
+        currentTime = due.time + leg.minutes;
+        current = store;
+        distance += leg.km;
+
+        // Handle breaks (half days have none)
+        const breakWindow = Utils.getBreakWindow(day.dayInfo);
+
+        if (
+          breakWindow &&
+          currentTime >= breakWindow.start &&
+          currentTime < breakWindow.end
+        ) {
+          currentTime = breakWindow.end;
         }
 
-        currentTime +=
-          CONFIG.BUFFER_TIME + (store.visitTime || CONFIG.DEFAULT_VISIT_TIME);
-
-        if (currentTime > CONFIG.WORK.END) {
+        currentTime =
+          Utils.getVisitStart(store, currentTime) +
+          CONFIG.BUFFER_TIME +
+          (store.visitTime || CONFIG.DEFAULT_VISIT_TIME);
+
+        // Ending the day here still has to fit the remaining blocks and get
+        // home in time and in range
+        const after = Utils.attendBlocks(day.dayInfo, currentTime, store);
+        const homeLeg = TravelProvider.leg(
+          after.point,
+          TravelProvider.end(day.dayInfo),
+          after.time,
+          day.dayInfo
+        );
+        const afterKm = after.blocks.reduce(
+          (sum, block) => sum + block.distance,
+          0
+        );
+        if (
+          after.time + homeLeg.minutes > Utils.getWorkEnd(day.dayInfo) ||
+          Utils.exceedsDailyDistance(distance + afterKm + homeLeg.km)
+        ) {
           violatingStoreIndex = i;
           break;
         }
@@ -638,7 +869,7 @@ class RouteOptimizer {
       if (violatingStoreIndex >= 0) {
         const violatingStores = day.stores.splice(violatingStoreIndex);
         Utils.log(
-          `Day ${dayIdx}: Moving ${violatingStores.length} stores due to time constraints`,
+          `Day ${dayIdx}: Moving ${violatingStores.length} stores due to time or distance constraints`,
           "WARN"
         );
 
@@ -652,6 +883,7 @@ class RouteOptimizer {
           ) {
             if (
               targetDay !== dayIdx &&
+              Utils.isDayAllowed(store, dayAssignments[targetDay].dayInfo) &&
               dayAssignments[targetDay].stores.length <
                 (dayAssignments[targetDay].capacity ||
                   CONFIG.CLUSTERING.MAX_STORES_PER_DAY)
@@ -678,17 +910,22 @@ class RouteOptimizer {
   }
 
   // Core optimization methods (unchanged but with deduplication integration)
+  // Stores near home or near any day's own start location are reachable
   filterByDistanceLimit(stores) {
     const maxDistance = CONFIG.TRAVEL_LIMITS?.MAX_DISTANCE_FROM_HOME || 40;
-    const validStores = stores.filter((store) => {
-      const distance = Utils.distance(
-        CONFIG.START.LAT,
-        CONFIG.START.LNG,
-        store.lat,
-        store.lng
-      );
-      return distance <= maxDistance;
-    });
+    const origins = [
+      TravelProvider.home(),
+      ...this.flatDays
+        .map((day) => day.startLocation)
+        .filter((location) => location),
+    ];
+    const validStores = stores.filter((store) =>
+      origins.some(
+        (origin) =>
+          Utils.distance(origin.lat, origin.lng, store.lat, store.lng) <=
+          maxDistance
+      )
+    );
 
     Utils.log(
       `Distance filter: ${validStores.length}/${stores.length} stores within ${maxDistance}km`,
@@ -810,7 +1047,7 @@ class RouteOptimizer {
 
   initializeCentroidsKMeansPlusPlus(stores, k) {
     const centroids = [];
-    const firstIdx = Math.floor(Math.random() * stores.length);
+    const firstIdx = Math.floor(RunSeed.random() * stores.length);
     centroids.push({ lat: stores[firstIdx].lat, lng: stores[firstIdx].lng });
 
     for (let i = 1; i < k; i++) {
@@ -828,7 +1065,7 @@ class RouteOptimizer {
       });
 
       const totalDist = distances.reduce((sum, d) => sum + d, 0);
-      let random = Math.random() * totalDist;
+      let random = RunSeed.random() * totalDist;
 
       for (let j = 0; j < stores.length; j++) {
         random -= distances[j];
@@ -847,120 +1084,117 @@ class RouteOptimizer {
       dayIndex: idx,
       dayInfo: day,
       stores: [],
-      capacity: CONFIG.CLUSTERING.MAX_STORES_PER_DAY,
+      capacity: Utils.getDayCapacity(day),
     }));
 
+    const misplaced = []; // Stores whose cluster landed on a day they refuse
+
     clusters.forEach((cluster) => {
       let bestDay = -1;
+      let bestAllowed = -1;
       let bestScore = -Infinity;
 
+      // Prefer the day most of the cluster may be visited on, then free room
       dayAssignments.forEach((day, idx) => {
         if (day.stores.length + cluster.length > day.capacity) return;
 
+        const allowed = cluster.filter((store) =>
+          Utils.isDayAllowed(store, day.dayInfo)
+        ).length;
         const capacityScore =
           ((day.capacity - day.stores.length) / day.capacity) * 100;
-        if (capacityScore > bestScore) {
+        if (
+          allowed > bestAllowed ||
+          (allowed === bestAllowed && capacityScore > bestScore)
+        ) {
+          bestAllowed = allowed;
           bestScore = capacityScore;
           bestDay = idx;
         }
       });
 
-      if (bestDay !== -1) {
-        dayAssignments[bestDay].stores.push(...cluster);
+      if (bestDay === -1) {
+        Utils.log(
+          `⚠️ No working day has room for a cluster of ${cluster.length} stores; its visits are not scheduled`,
+          "WARN"
+        );
+        Utils.markUnscheduled(
+          cluster,
+          `Its cluster of ${cluster.length} stores fits no working day`
+        );
+        return;
+      }
+
+      const day = dayAssignments[bestDay];
+      cluster.forEach((store) =>
+        (Utils.isDayAllowed(store, day.dayInfo) ? day.stores : misplaced).push(
+          store
+        )
+      );
+    });
+
+    misplaced.forEach((store) => {
+      const day = this.findAllowedDay(store, dayAssignments);
+      if (day) {
+        day.stores.push(store);
+      } else {
+        Utils.log(
+          `⚠️ No allowed day with room for ${store.noStr || store.name}`,
+          "WARN"
+        );
+        Utils.markUnscheduled([store], "No allowed visit day with room");
       }
     });
 
     return dayAssignments;
   }
 
-  optimizeDailyRoutes(dayAssignments) {
+  // Nearest day (by its stores' centre) the store may be visited on
+  findAllowedDay(store, dayAssignments) {
+    let best = null;
+    let bestDistance = Infinity;
+
     dayAssignments.forEach((day) => {
-      if (day.stores.length > 1) {
-        day.stores = this.nearestNeighborRoute(day.stores);
-        day.stores = this.optimize2Opt(day.stores);
+      if (!Utils.isDayAllowed(store, day.dayInfo)) return;
+      if (day.stores.length >= day.capacity) return;
+
+      const anchor = day.stores.length > 0 ? day.stores[0] : null;
+      const distance = anchor
+        ? Utils.distance(store.lat, store.lng, anchor.lat, anchor.lng)
+        : CONFIG.CLUSTERING.MAX_RADIUS; // Empty days are a fallback
+      if (distance < bestDistance) {
+        bestDistance = distance;
+        best = day;
       }
     });
-  }
-
-  nearestNeighborRoute(stores) {
-    if (stores.length <= 2) return stores;
-
-    const route = [];
-    const remaining = [...stores];
-    let current = { lat: CONFIG.START.LAT, lng: CONFIG.START.LNG };
-
-    while (remaining.length > 0) {
-      let nearestIdx = 0;
-      let minDist = Infinity;
 
-      remaining.forEach((store, idx) => {
-        const dist = Utils.distance(
-          current.lat,
-          current.lng,
-          store.lat,
-          store.lng
-        );
-        if (dist < minDist) {
-          minDist = dist;
-          nearestIdx = idx;
-        }
-      });
-
-      const nearest = remaining.splice(nearestIdx, 1)[0];
-      route.push(nearest);
-      current = nearest;
-    }
-
-    return route;
+    return best;
   }
 
-  optimize2Opt(route) {
-    if (route.length <= 3) return route;
-
-    let improved = true;
-    let currentRoute = [...route];
-
-    while (improved) {
-      improved = false;
-      for (let i = 1; i < currentRoute.length - 1; i++) {
-        for (let j = i + 1; j < currentRoute.length; j++) {
-          const newRoute = [
-            ...currentRoute.slice(0, i),
-            ...currentRoute.slice(i, j + 1).reverse(),
-            ...currentRoute.slice(j + 1),
-          ];
-
-          if (
-            this.calculateRouteDistance(newRoute) <
-            this.calculateRouteDistance(currentRoute)
-          ) {
-            currentRoute = newRoute;
-            improved = true;
-          }
-        }
+  optimizeDailyRoutes(dayAssignments) {
+    dayAssignments.forEach((day) => {
+      if (day.stores.length > 1) {
+        day.stores = RouteImprover.sequence(day.stores, day.dayInfo);
       }
-    }
-
-    return currentRoute;
+    });
   }
 
-  calculateRouteDistance(stores) {
+  calculateRouteDistance(stores, dayInfo = null) {
     if (stores.length === 0) return 0;
 
     let totalDistance = 0;
-    let current = { lat: CONFIG.START.LAT, lng: CONFIG.START.LNG };
+    let current = TravelProvider.start(dayInfo);
 
     stores.forEach((store) => {
-      totalDistance += Utils.distance(
-        current.lat,
-        current.lng,
-        store.lat,
-        store.lng
-      );
+      totalDistance += TravelProvider.leg(current, store).km;
       current = store;
     });
 
-    return totalDistance;
+    // The drive back is mileage too
+    return (
+      totalDistance +
+      TravelProvider.leg(current, TravelProvider.end(dayInfo)).km
+    );
   }
 
   // Output methods (simplified)
@@ -1002,41 +1236,46 @@ class RouteOptimizer {
       statistics: statistics,
       p1VisitFrequency: this.getP1Frequency(originalStores),
       hasW5: this.workingDays.length === 5,
+      daysOff: this.dateCalculator.daysOff,
     };
   }
 
   createDetailedRoute(stores, dayInfo) {
     if (!stores || stores.length === 0) return [];
+    stores = TimeWindowSequencer.sequence(stores, dayInfo);
 
     const route = [];
-    let currentTime = CONFIG.WORK.START;
-    let currentLat = CONFIG.START.LAT;
-    let currentLng = CONFIG.START.LNG;
+    let currentTime = Utils.getWorkStart(dayInfo);
+    let current = TravelProvider.start(dayInfo);
 
-    const isFriday = dayInfo.isFriday;
-    const breakStart = isFriday
-      ? CONFIG.FRIDAY_PRAYER.START
-      : CONFIG.LUNCH.START;
-    const breakEnd = isFriday ? CONFIG.FRIDAY_PRAYER.END : CONFIG.LUNCH.END;
-    let hasBreak = false;
+    const breakWindow = Utils.getBreakWindow(dayInfo);
+    const workEnd = Utils.getWorkEnd(dayInfo);
+    let hasBreak = !breakWindow;
 
     stores.forEach((store, index) => {
-      const distance = Utils.distance(
-        currentLat,
-        currentLng,
-        store.lat,
-        store.lng
-      );
-      const travelTime = Math.round(distance * 3);
+      // Meetings or office time the visit would run into come first
+      const due = Utils.attendBlocks(dayInfo, currentTime, current, store);
+      currentTime = due.time;
+      current = due.point;
+
+      const leg = TravelProvider.leg(current, store, currentTime, dayInfo);
+      const distance = leg.km;
+      const travelTime = leg.minutes;
 
       currentTime += travelTime;
 
-      if (!hasBreak && currentTime >= breakStart && currentTime < breakEnd) {
-        currentTime = breakEnd;
+      if (
+        !hasBreak &&
+        currentTime >= breakWindow.start &&
+        currentTime < breakWindow.end
+      ) {
+        currentTime = breakWindow.end;
         hasBreak = true;
       }
 
-      const arrivalTime = currentTime;
+      // Wait outside if the store has not opened yet
+      const arrivalTime = Utils.getVisitStart(store, currentTime);
+      const waitTime = arrivalTime - currentTime;
       const visitDuration =
         CONFIG.BUFFER_TIME + (store.visitTime || CONFIG.DEFAULT_VISIT_TIME);
       const departTime = arrivalTime + visitDuration;
@@ -1048,16 +1287,18 @@ class RouteOptimizer {
         duration: travelTime,
         arrivalTime: arrivalTime,
         departTime: departTime,
-        timeWarning: departTime > CONFIG.WORK.END,
-        isAfter6PM: departTime > CONFIG.WORK.END,
+        waitTime: waitTime,
+        blocksBefore: due.blocks,
+        timeWarning: departTime > workEnd,
+        isAfter6PM: departTime > workEnd,
+        windowViolation: Utils.missesTimeWindow(store, arrivalTime),
       });
 
       currentTime = departTime;
-      currentLat = store.lat;
-      currentLng = store.lng;
+      current = store;
     });
 
-    return route;
+    return Utils.addReturnLeg(route, dayInfo);
   }
 
   calculateBasicStatistics(dayAssignments, visitInstances) {
@@ -1067,7 +1308,7 @@ class RouteOptimizer {
       0
     );
     const totalDistance = dayAssignments.reduce(
-      (sum, day) => sum + this.calculateRouteDistance(day.stores),
+      (sum, day) => sum + this.calculateRouteDistance(day.stores, day.dayInfo),
       0
     );
 
@@ -1128,11 +1369,32 @@ class RouteOptimizer {
   }
 
   convertToExistingFormat(optimizationResult, originalStores) {
+    // Routes beyond the available working days (holidays, leave) don't fit
+    const plannedRoutes = optimizationResult.routes.slice(
+      0,
+      this.flatDays.length
+    );
+    const unvisitedStores = [];
+    optimizationResult.routes
+      .slice(this.flatDays.length)
+      .forEach((route) => unvisitedStores.push(...route.stores));
+
+    if (unvisitedStores.length > 0) {
+      Utils.log(
+        `⚠️ ${optimizationResult.routes.length} routes for ${this.flatDays.length} working days: ${unvisitedStores.length} stores left unvisited`,
+        "WARN"
+      );
+      Utils.markUnscheduled(
+        unvisitedStores,
+        "More routes than working days this month"
+      );
+    }
+
     let dayIndex = 0;
     this.workingDays.forEach((week) => {
       week.forEach((day) => {
-        if (dayIndex < optimizationResult.routes.length) {
-          const optimizedDay = optimizationResult.routes[dayIndex];
+        if (dayIndex < plannedRoutes.length) {
+          const optimizedDay = plannedRoutes[dayIndex];
           day.optimizedStores = this.createDetailedRoute(
             optimizedDay.stores,
             day
@@ -1144,25 +1406,32 @@ class RouteOptimizer {
       });
     });
 
+    const totalStoresRequired = optimizationResult.routes.reduce(
+      (sum, day) => sum + day.stores.length,
+      0
+    );
+    const totalStoresPlanned = plannedRoutes.reduce(
+      (sum, day) => sum + day.stores.length,
+      0
+    );
+
     const statistics = {
-      totalStoresRequired: optimizationResult.routes.reduce(
-        (sum, day) => sum + day.stores.length,
-        0
-      ),
-      totalStoresPlanned: optimizationResult.routes.reduce(
-        (sum, day) => sum + day.stores.length,
-        0
-      ),
-      coveragePercentage: "100.0",
-      workingDays: optimizationResult.routes.length,
+      totalStoresRequired: totalStoresRequired,
+      totalStoresPlanned: totalStoresPlanned,
+      coveragePercentage: (
+        (totalStoresPlanned / Math.max(1, totalStoresRequired)) *
+        100
+      ).toFixed(1),
+      workingDays: plannedRoutes.length,
       averageStoresPerDay: (
-        optimizationResult.routes.reduce(
-          (sum, day) => sum + day.stores.length,
-          0
-        ) / optimizationResult.routes.length
+        totalStoresPlanned / Math.max(1, plannedRoutes.length)
       ).toFixed(1),
-      totalDistance: optimizationResult.routes
-        .reduce((sum, day) => sum + this.calculateRouteDistance(day.stores), 0)
+      totalDistance: plannedRoutes
+        .reduce(
+          (sum, day, idx) =>
+            sum + this.calculateRouteDistance(day.stores, this.flatDays[idx]),
+          0
+        )
         .toFixed(1),
       crossBorderOptimization: {
         daysAfter: optimizationResult.routes.length,
@@ -1175,10 +1444,11 @@ class RouteOptimizer {
 
     return {
       workingDays: this.workingDays,
-      unvisitedStores: [],
+      unvisitedStores: unvisitedStores,
       statistics: statistics,
       p1VisitFrequency: this.getP1Frequency(originalStores),
       hasW5: this.workingDays.length === 5,
+      daysOff: this.dateCalculator.daysOff,
     };
   }
 }
@@ -1188,16 +1458,33 @@ class RouteProblemAnalyzer {
   analyzeRouteProblems(planResult) {
     Utils.log("=== ANALYZING ROUTE PROBLEMS ===", "INFO");
 
-    const problems = { duplicates: 0, gaps: 0, timeViolations: 0 };
+    const problems = {
+      duplicates: 0,
+      gaps: 0,
+      timeViolations: 0,
+      distanceViolations: 0,
+      dayViolations: 0,
+    };
     const allStores = this.extractScheduledStores(planResult.workingDays);
 
     problems.duplicates = this.checkDuplicates(allStores);
     problems.gaps = this.checkGapViolations(allStores);
     problems.timeViolations = this.checkTimeViolations(planResult.workingDays);
+    problems.distanceViolations = this.checkDistanceViolations(
+      planResult.workingDays
+    );
+    problems.dayViolations = this.checkAllowedDayViolations(
+      planResult.workingDays
+    );
 
-    const total = problems.duplicates + problems.gaps + problems.timeViolations;
+    const total =
+      problems.duplicates +
+      problems.gaps +
+      problems.timeViolations +
+      problems.distanceViolations +
+      problems.dayViolations;
     Utils.log(
-      `PROBLEMS FOUND: ${total} (${problems.duplicates} duplicates, ${problems.gaps} gaps, ${problems.timeViolations} time violations)`,
+      `PROBLEMS FOUND: ${total} (${problems.duplicates} duplicates, ${problems.gaps} gaps, ${problems.timeViolations} time violations, ${problems.distanceViolations} distance violations, ${problems.dayViolations} allowed-day violations)`,
       total > 0 ? "ERROR" : "INFO"
     );
 
@@ -1275,20 +1562,21 @@ class RouteProblemAnalyzer {
     return violations;
   }
 
+  // A day is late when the drive back ends after work
   checkTimeViolations(workingDays) {
     let violations = 0;
 
     workingDays.forEach((week, weekIdx) => {
       week.forEach((dayInfo, dayIdx) => {
-        if (dayInfo.optimizedStores) {
-          const violatingStores = dayInfo.optimizedStores.filter(
-            (store) => store.departTime > CONFIG.WORK.END
-          );
-          if (violatingStores.length > 0) {
+        if (dayInfo.optimizedStores && dayInfo.optimizedStores.length > 0) {
+          const dayEnd = Utils.getDayEnd(dayInfo.optimizedStores);
+          if (dayEnd > Utils.getWorkEnd(dayInfo)) {
             Utils.log(
-              `❌ TIME VIOLATION: Week ${weekIdx + 1} ${dayInfo.dayName} has ${
-                violatingStores.length
-              } stores after 6:20 PM`,
+              `❌ TIME VIOLATION: Week ${weekIdx + 1} ${
+                dayInfo.dayName
+              } ends at ${Utils.formatTime(dayEnd)}, after ${Utils.formatTime(
+                Utils.getWorkEnd(dayInfo)
+              )}`,
               "ERROR"
             );
             violations++;
@@ -1299,4 +1587,48 @@ class RouteProblemAnalyzer {
 
     return violations;
   }
+
+  checkDistanceViolations(workingDays) {
+    let violations = 0;
+
+    workingDays.forEach((week, weekIdx) => {
+      week.forEach((dayInfo) => {
+        const distance = Utils.getDayDistance(dayInfo.optimizedStores);
+        if (Utils.exceedsDailyDistance(distance)) {
+          Utils.log(
+            `❌ DISTANCE VIOLATION: Week ${weekIdx + 1} ${
+              dayInfo.dayName
+            } covers ${distance.toFixed(1)} km, over the ${
+              CONFIG.TRAVEL_LIMITS.MAX_DAILY_DISTANCE
+            } km limit`,
+            "ERROR"
+          );
+          violations++;
+        }
+      });
+    });
+
+    return violations;
+  }
+
+  checkAllowedDayViolations(workingDays) {
+    let violations = 0;
+
+    workingDays.forEach((week, weekIdx) => {
+      week.forEach((dayInfo) => {
+        (dayInfo.optimizedStores || []).forEach((store) => {
+          if (Utils.isDayAllowed(store, dayInfo)) return;
+          const allowed = DateCalculator.formatDayList(store.allowedDays);
+          Utils.log(
+            `❌ DAY VIOLATION: ${store.name} (${store.noStr}) on Week ` +
+              `${weekIdx + 1} ${dayInfo.dayName}, allowed only ${allowed}`,
+            "ERROR"
+          );
+          violations++;
+        });
+      });
+    });
+
+    return violations;
+  }
 }
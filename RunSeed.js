@@ -0,0 +1,47 @@
+// ==================== RUN SEED - REPRODUCIBLE PLANS ====================
+// Every random choice in a run (k-means starts, fractional visit picks)
+// draws from here, so the same inputs and the same seed give the same plan.
+class RunSeed {
+  // The seed in CONFIG.RUN_SEED.CELL, or one made from the plan month when
+  // the cell is blank, so re-running a month repeats its plan
+  static start(sheet = null, targetMonth = null) {
+    const value = sheet ? sheet.getRange(CONFIG.RUN_SEED.CELL).getValue() : "";
+    const fromCell = parseInt(value, 10);
+
+    if (!isNaN(fromCell)) {
+      RunSeed.reset(fromCell);
+      Utils.log(`Run seed ${fromCell} (from ${CONFIG.RUN_SEED.CELL})`, "INFO");
+    } else {
+      const month = targetMonth || DateCalculator.getDefaultTargetMonth();
+      RunSeed.reset(month.year * 100 + month.month + 1);
+      if (value !== "" && value != null) {
+        Utils.log(
+          `Run seed "${value}" in ${CONFIG.RUN_SEED.CELL} is not a whole number, using ${RunSeed.seed}`,
+          "WARN"
+        );
+      } else {
+        Utils.log(`Run seed ${RunSeed.seed} (from the plan month)`, "INFO");
+      }
+    }
+    return RunSeed.seed;
+  }
+
+  static reset(seed) {
+    RunSeed.seed = seed;
+    RunSeed.state = seed >>> 0;
+  }
+
+  static getSeed() {
+    return RunSeed.seed || 0;
+  }
+
+  // Next number in [0, 1) (mulberry32)
+  static random() {
+    if (RunSeed.state === undefined) RunSeed.reset(0);
+    RunSeed.state = (RunSeed.state + 0x6d2b79f5) >>> 0;
+    let t = RunSeed.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+}
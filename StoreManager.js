@@ -2,6 +2,7 @@
 class StoreManager {
   constructor(sheet) {
     this.sheet = sheet;
+    this.repository = StoreRepository.forSheet(sheet);
   }
 
   updateVisitFrequencies() {
@@ -39,8 +40,9 @@ class StoreManager {
     });
   }
 
-  // FIXED: Load stores with unique deduplication by noStr
-  loadStores(includePriorities) {
+  // FIXED: Load stores with unique deduplication by noStr. With a visit
+  // history, fractional priorities rotate instead of using the row seed.
+  loadStores(includePriorities, visitHistory = null, marginalTier = null) {
     Utils.log(
       `Loading stores for priorities: ${includePriorities.join(", ")}`,
       "INFO"
@@ -48,32 +50,41 @@ class StoreManager {
 
     const allStores = [];
     const storeMap = new Map(); // Use Map for deduplication by noStr
-    const lastRow = this.sheet.getLastRow();
 
     Object.entries(CONFIG.PRIORITIES).forEach(([priority, config]) => {
-      if (!includePriorities.includes(priority)) return;
+      // Only the chosen stores of a partly included priority are loaded
+      const marginal = marginalTier && marginalTier.priority === priority;
+      if (!includePriorities.includes(priority) && !marginal) return;
       if (config.requiredVisits < CONFIG.FRACTIONAL_VISITS.MIN_FREQUENCY)
         return;
 
-      const col = config.startCol;
+      const source = this.repository.describeSource(priority);
       let storeIndex = 0;
       let loadedForThisPriority = 0;
       let skippedDuplicates = 0;
 
       Utils.log(
-        `Processing ${priority} (column ${col}, frequency: ${config.requiredVisits})...`,
+        `Processing ${priority} (${source}, frequency: ${config.requiredVisits})...`,
         "INFO"
       );
 
-      for (let row = 4; row <= lastRow; row++) {
+      const rotation =
+        visitHistory && config.requiredVisits < 1 && !marginal
+          ? visitHistory.selectRotation(
+              this.repository
+                .getRows(priority)
+                .filter(
+                  (r) =>
+                    !storeMap.has(r.noStr) && !isNaN(r.lat) && !isNaN(r.lng)
+                ),
+              config.requiredVisits,
+              priority
+            )
+          : null;
+
+      for (const record of this.repository.getRows(priority)) {
         try {
-          const shouldVisit = this.sheet.getRange(row, col + 11).getValue();
-          if (shouldVisit !== "YES" && shouldVisit !== true) continue;
-
-          const name = this.sheet.getRange(row, col + 1).getValue();
-          if (!name) continue;
-
-          const noStr = this.sheet.getRange(row, col).getValue() || "";
+          const { row, noStr, name, lat, lng } = record;
 
           // DEDUPLICATION: Check if we already have this store by noStr
           if (storeMap.has(noStr)) {
@@ -87,34 +98,46 @@ class StoreManager {
             continue;
           }
 
-          const lat = parseFloat(this.sheet.getRange(row, col + 6).getValue());
-          const lng = parseFloat(this.sheet.getRange(row, col + 7).getValue());
           if (isNaN(lat) || isNaN(lng)) continue;
+          if (marginal && !marginalTier.noStrs.has(noStr)) continue;
 
           // Calculate actual visits for this store
-          const actualVisits = Utils.calculateActualVisits(
-            config.requiredVisits,
-            1,
-            storeIndex,
-            priority
-          );
+          let actualVisits;
+          if (marginal) {
+            actualVisits = Math.max(1, Math.floor(config.requiredVisits));
+          } else if (rotation) {
+            actualVisits = rotation.has(noStr) ? 1 : 0;
+          } else {
+            actualVisits = Utils.calculateActualVisits(
+              config.requiredVisits,
+              1,
+              storeIndex,
+              priority
+            );
+          }
 
           const store = {
             priority,
             noStr: noStr,
             name,
-            retailer: this.sheet.getRange(row, col + 2).getValue() || "",
-            district: this.sheet.getRange(row, col + 3).getValue() || "Unknown",
-            address: this.sheet.getRange(row, col + 5).getValue() || "",
+            retailer: record.retailer,
+            district: record.district,
+            address: record.address,
             lat,
             lng,
-            salesL6M:
-              parseFloat(this.sheet.getRange(row, col + 8).getValue()) || 0,
+            salesL6M: record.salesL6M,
             baseFrequency: config.requiredVisits,
             actualVisits: actualVisits,
             visits: actualVisits,
-            visitTime: CONFIG.DEFAULT_VISIT_TIME,
+            visitTime: Utils.resolveVisitTime(record, priority),
+            openTime: record.openTime,
+            closeTime: record.closeTime,
+            allowedDays: record.allowedDays,
             isFractionalVisit: config.requiredVisits < 1 && actualVisits > 0,
+            isMarginal: marginal,
+            monthsSinceVisit: visitHistory
+              ? visitHistory.getMonthsSinceVisit(noStr)
+              : null,
 
             // Additional tracking info
             loadedFromRow: row,
@@ -137,7 +160,7 @@ class StoreManager {
           storeIndex++;
         } catch (e) {
           Utils.log(
-            `Error processing row ${row} for priority ${priority}: ${e}`,
+            `Error processing row ${record.row} for priority ${priority}: ${e}`,
             "ERROR"
           );
           continue;
@@ -178,6 +201,9 @@ class StoreManager {
       Utils.log(`  ${priority}: ${count} stores`, "INFO");
     });
 
+    // Stores in the same mall or building are planned together
+    MallGrouper.detect(uniqueStores);
+
     return uniqueStores;
   }
 
@@ -188,27 +214,17 @@ class StoreManager {
       totals: { totalStores: 0, scheduledStores: 0, expectedVisits: 0 },
     };
 
-    const lastRow = this.sheet.getLastRow();
     const processedStores = new Set(); // Track by noStr to avoid double counting
 
     Object.entries(CONFIG.PRIORITIES).forEach(([priority, config]) => {
       if (!includePriorities.includes(priority)) return;
 
-      const col = config.startCol;
       let totalStores = 0;
       let scheduledStores = 0;
       let storeIndex = 0;
 
-      for (let row = 4; row <= lastRow; row++) {
+      for (const { noStr } of this.repository.getRows(priority)) {
         try {
-          const shouldVisit = this.sheet.getRange(row, col + 11).getValue();
-          if (shouldVisit !== "YES" && shouldVisit !== true) continue;
-
-          const name = this.sheet.getRange(row, col + 1).getValue();
-          if (!name) continue;
-
-          const noStr = this.sheet.getRange(row, col).getValue() || "";
-
           // Skip if already processed (deduplication)
           if (processedStores.has(noStr)) continue;
           processedStores.add(noStr);
@@ -257,23 +273,14 @@ class StoreManager {
     Utils.log("=== CHECKING FOR DUPLICATES IN CURRENT DATA ===", "INFO");
 
     const storesByNoStr = {};
-    const lastRow = this.sheet.getLastRow();
 
     Object.entries(CONFIG.PRIORITIES).forEach(([priority, config]) => {
       if (!includePriorities.includes(priority)) return;
 
-      const col = config.startCol;
+      const source = this.repository.describeSource(priority);
 
-      for (let row = 4; row <= lastRow; row++) {
+      for (const { row, noStr, name } of this.repository.getRows(priority)) {
         try {
-          const shouldVisit = this.sheet.getRange(row, col + 11).getValue();
-          if (shouldVisit !== "YES" && shouldVisit !== true) continue;
-
-          const name = this.sheet.getRange(row, col + 1).getValue();
-          if (!name) continue;
-
-          const noStr = this.sheet.getRange(row, col).getValue() || "";
-
           if (!storesByNoStr[noStr]) {
             storesByNoStr[noStr] = [];
           }
@@ -282,7 +289,7 @@ class StoreManager {
             priority: priority,
             name: name,
             row: row,
-            col: col,
+            source: source,
           });
         } catch (e) {
           continue;
@@ -0,0 +1,325 @@
+// ==================== STORE REPOSITORY - BATCHED SHEET READS ====================
+class StoreRepository {
+  constructor(sheet) {
+    this.sheet = sheet;
+    this.master = undefined; // Store Master sheet, null when using blocks
+    this.blocks = null; // Priority -> { startCol, width, columns }, from headers
+    this.cache = new Map(); // Priority -> parsed rows, kept for the whole run
+  }
+
+  // One repository per sheet per execution so every loader shares the cache
+  static forSheet(sheet) {
+    StoreRepository.instances = StoreRepository.instances || new Map();
+    const key = sheet.getName();
+
+    if (!StoreRepository.instances.has(key)) {
+      StoreRepository.instances.set(key, new StoreRepository(sheet));
+    }
+    return StoreRepository.instances.get(key);
+  }
+
+  // Shortcut for loaders that only know the spreadsheet name in CONFIG
+  static forActiveSheet() {
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+      CONFIG.SHEET_NAME
+    );
+    return sheet ? StoreRepository.forSheet(sheet) : null;
+  }
+
+  // "No.Str", "no str" and "NO_STR" all compare equal
+  static normalizeHeader(value) {
+    return (value || "")
+      .toString()
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+  }
+
+  // Normalized header -> field name, for every configured alias
+  static getAliasMap() {
+    const aliases = new Map();
+    Object.entries(CONFIG.STORE_DATA.COLUMNS).forEach(([field, names]) => {
+      names.forEach((name) =>
+        aliases.set(StoreRepository.normalizeHeader(name), field)
+      );
+    });
+    return aliases;
+  }
+
+  // "P2", "p2" and 2 all mean P2; returns null for anything else
+  static normalizePriority(value) {
+    const match = (value || "")
+      .toString()
+      .trim()
+      .match(/^P?([1-8])$/i);
+    return match ? `P${match[1]}` : null;
+  }
+
+  // Rows marked shouldVisit with a store name; lat/lng may still be NaN
+  getRows(priority) {
+    if (!this.cache.has(priority)) {
+      if (this.getMasterSheet()) {
+        this.readStoreMaster();
+      } else {
+        this.cache.set(priority, this.readPriorityBlock(priority));
+      }
+    }
+    return this.cache.get(priority) || [];
+  }
+
+  getMasterSheet() {
+    if (this.master === undefined) {
+      const ss = this.sheet.getParent();
+      this.master = ss.getSheetByName(CONFIG.STORE_DATA.MASTER_SHEET);
+      Utils.log(
+        this.master
+          ? `Reading stores from "${CONFIG.STORE_DATA.MASTER_SHEET}"`
+          : `Reading stores from priority blocks in "${this.sheet.getName()}"`,
+        "INFO"
+      );
+    }
+    return this.master;
+  }
+
+  // Where a priority's stores come from, for logs and duplicate reports
+  describeSource(priority) {
+    return this.getMasterSheet()
+      ? `"${CONFIG.STORE_DATA.MASTER_SHEET}"`
+      : `column ${this.getBlock(priority).startCol}`;
+  }
+
+  // Long format: each store appears once, so priority is just an attribute
+  readStoreMaster() {
+    const values = this.master.getDataRange().getValues();
+    const [headers, ...data] = values;
+    const aliases = StoreRepository.getAliasMap();
+    const columns = {};
+
+    (headers || []).forEach((header, idx) => {
+      const field = aliases.get(StoreRepository.normalizeHeader(header));
+      if (field && columns[field] === undefined) columns[field] = idx;
+    });
+    this.assertColumns(
+      `"${CONFIG.STORE_DATA.MASTER_SHEET}"`,
+      columns,
+      CONFIG.STORE_DATA.REQUIRED.concat("priority")
+    );
+
+    Object.keys(CONFIG.PRIORITIES).forEach((p) => this.cache.set(p, []));
+    const seen = new Map(); // noStr -> first row
+
+    data.forEach((cells, idx) => {
+      const rowNumber = idx + 2;
+      const record = this.parseRecord(cells, columns, rowNumber);
+      if (!record) return;
+
+      const priority = StoreRepository.normalizePriority(
+        cells[columns.priority]
+      );
+      if (!priority) {
+        Utils.log(
+          `Store Master row ${rowNumber}: unknown priority "${
+            cells[columns.priority]
+          }", skipped`,
+          "WARN"
+        );
+        return;
+      }
+
+      // Keep the first row when a store number is entered twice
+      if (record.noStr && seen.has(record.noStr)) {
+        Utils.log(
+          `Store Master row ${rowNumber}: ${
+            record.noStr
+          } already listed on row ${seen.get(record.noStr)}, skipped`,
+          "WARN"
+        );
+        return;
+      }
+      seen.set(record.noStr, rowNumber);
+
+      this.cache.get(priority).push(record);
+    });
+
+    const counts = Object.keys(CONFIG.PRIORITIES).map(
+      (p) => `${p} ${this.cache.get(p).length}`
+    );
+    Utils.log(`Store Master rows for visit: ${counts.join(", ")}`, "INFO");
+  }
+
+  // Shared row parser for both layouts; null when the row is not for visiting
+  parseRecord(cells, columns, rowNumber) {
+    const cell = (field) =>
+      columns[field] === undefined ? "" : cells[columns[field]];
+
+    const shouldVisit = cell("shouldVisit");
+    if (shouldVisit !== "YES" && shouldVisit !== true) return null;
+
+    const name = cell("name");
+    if (!name) return null;
+
+    return {
+      row: rowNumber,
+      noStr: cell("noStr") || "",
+      name: name,
+      retailer: cell("retailer") || "",
+      district: cell("district") || "Unknown",
+      address: cell("address") || "",
+      lat: parseFloat(cell("lat")),
+      lng: parseFloat(cell("lng")),
+      salesL6M: parseFloat(cell("salesL6M")) || 0,
+      visitTime: parseFloat(cell("visitTime")) || 0, // 0 = use lookup tables
+      openTime: this.parseWindowTime(cell("openTime"), rowNumber, "open"),
+      closeTime: this.parseWindowTime(cell("closeTime"), rowNumber, "close"),
+      allowedDays: this.parseAllowedDays(cell("allowedDays"), rowNumber),
+    };
+  }
+
+  // "TUE,THU", "MON-WED" or "NOT MON" -> day numbers; null means any day
+  parseAllowedDays(value, rowNumber) {
+    const text = (value || "").toString().trim().toUpperCase();
+    if (!text || text === "ANY" || text === "ALL") return null;
+
+    const except = text.match(/^(?:NOT|EXCEPT)\s+(.+)$/);
+    const days = DateCalculator.parseDayList(except ? except[1] : text);
+    if (!days) {
+      Utils.log(
+        `Row ${rowNumber}: cannot read allowed days "${value}", ignored`,
+        "WARN"
+      );
+      return null;
+    }
+
+    return except
+      ? [0, 1, 2, 3, 4, 5, 6].filter((day) => !days.includes(day))
+      : days;
+  }
+
+  // Blank means no limit; an unreadable time is ignored with a warning
+  parseWindowTime(value, rowNumber, label) {
+    const minutes = Utils.parseClockTime(value);
+    if (minutes === null && value !== "" && value != null) {
+      Utils.log(
+        `Row ${rowNumber}: cannot read ${label} time "${value}", ignored`,
+        "WARN"
+      );
+    }
+    return minutes;
+  }
+
+  assertColumns(source, columns, required) {
+    const missing = required.filter((field) => columns[field] === undefined);
+    if (missing.length > 0) {
+      const names = missing
+        .map((field) => CONFIG.STORE_DATA.COLUMNS[field].join(" / "))
+        .join("; ");
+      throw new Error(`${source} is missing required column(s): ${names}`);
+    }
+  }
+
+  // Column layout for a priority; throws naming any missing required column
+  getBlock(priority) {
+    const block = this.getBlocks()[priority];
+    if (!block) {
+      throw new Error(
+        `No ${priority} store block found in header row ${CONFIG.STORE_DATA.HEADER_ROW} (each block must start with a "No.Str" column)`
+      );
+    }
+
+    this.assertColumns(
+      `${priority} store block (column ${block.startCol})`,
+      block.columns,
+      CONFIG.STORE_DATA.REQUIRED
+    );
+    return block;
+  }
+
+  // Split the header row into blocks, each starting at a No.Str column.
+  // A "P1".."P8" label above a block wins, otherwise blocks go left to right.
+  getBlocks() {
+    if (this.blocks) return this.blocks;
+
+    this.blocks = {};
+    const lastCol = this.sheet.getLastColumn();
+    if (lastCol < 1) return this.blocks;
+
+    const { LABEL_ROW, HEADER_ROW } = CONFIG.STORE_DATA;
+    const values = this.sheet
+      .getRange(LABEL_ROW, 1, HEADER_ROW - LABEL_ROW + 1, lastCol)
+      .getValues();
+    const labels = values[0];
+    const headers = values[values.length - 1];
+
+    const aliases = StoreRepository.getAliasMap();
+    const fields = headers.map((header) =>
+      aliases.get(StoreRepository.normalizeHeader(header))
+    );
+    const starts = [];
+    fields.forEach((field, idx) => {
+      if (field === "noStr") starts.push(idx);
+    });
+
+    const unlabelled = Object.keys(CONFIG.PRIORITIES);
+    const pending = [];
+
+    starts.forEach((start, blockIdx) => {
+      const end = blockIdx + 1 < starts.length ? starts[blockIdx + 1] : lastCol;
+      const block = { startCol: start + 1, width: end - start, columns: {} };
+
+      for (let idx = start; idx < end; idx++) {
+        const field = fields[idx];
+        if (field && block.columns[field] === undefined) {
+          block.columns[field] = idx - start;
+        }
+      }
+
+      const label = labels
+        .slice(start, end)
+        .map((cell) => (cell || "").toString().match(/\bP([1-8])\b/i))
+        .find((match) => match);
+      const priority = label ? `P${label[1]}` : null;
+
+      if (priority && unlabelled.includes(priority)) {
+        this.blocks[priority] = block;
+        unlabelled.splice(unlabelled.indexOf(priority), 1);
+      } else {
+        pending.push(block);
+      }
+    });
+
+    // Blocks without a label fill the remaining priorities in order
+    pending.forEach((block, idx) => {
+      if (idx < unlabelled.length) this.blocks[unlabelled[idx]] = block;
+    });
+
+    const found = Object.keys(CONFIG.PRIORITIES)
+      .filter((priority) => this.blocks[priority])
+      .map(
+        (priority) => `${priority} at column ${this.blocks[priority].startCol}`
+      );
+    Utils.log(`Store blocks found: ${found.join(", ") || "none"}`, "INFO");
+    return this.blocks;
+  }
+
+  // One getValues() call per priority block instead of one per cell
+  readPriorityBlock(priority) {
+    const block = this.getBlock(priority);
+    const firstRow = CONFIG.STORE_DATA.FIRST_ROW;
+    const lastRow = this.sheet.getLastRow();
+    if (lastRow < firstRow) return [];
+
+    const values = this.sheet
+      .getRange(firstRow, block.startCol, lastRow - firstRow + 1, block.width)
+      .getValues();
+    const rows = [];
+    values.forEach((cells, idx) => {
+      const record = this.parseRecord(cells, block.columns, firstRow + idx);
+      if (record) rows.push(record);
+    });
+
+    Utils.log(
+      `${priority} block read: ${rows.length} rows marked for visit`,
+      "INFO"
+    );
+    return rows;
+  }
+}
@@ -0,0 +1,39 @@
+// ==================== STORE VALUE - PRIORITY, SALES AND RECENCY ====================
+class StoreValue {
+  // Higher is more valuable: the priority weight, plus sales points up to
+  // the full-score level, plus points for each month the store has waited
+  static score(store) {
+    if (!store) return 0;
+    const settings = CONFIG.STORE_VALUE;
+
+    const priorityPoints = settings.PRIORITY_WEIGHTS[store.priority] || 0;
+    const salesPoints =
+      settings.SALES_FULL_SCORE > 0
+        ? settings.SALES_WEIGHT *
+          Math.min(
+            1,
+            Math.max(0, store.salesL6M || 0) / settings.SALES_FULL_SCORE
+          )
+        : 0;
+
+    // Unknown without a visit history; never visited counts as the cap
+    const months =
+      store.monthsSinceVisit == null
+        ? 0
+        : Math.min(store.monthsSinceVisit, settings.MAX_RECENCY_MONTHS);
+
+    return priorityPoints + salesPoints + settings.RECENCY_WEIGHT * months;
+  }
+
+  // Sort comparator: most valuable first
+  static compare(a, b) {
+    return StoreValue.score(b) - StoreValue.score(a);
+  }
+
+  // Least valuable store; ties go to the later one in the list
+  static findWeakest(stores) {
+    return stores.reduce((weakest, store) =>
+      StoreValue.score(store) <= StoreValue.score(weakest) ? store : weakest
+    );
+  }
+}
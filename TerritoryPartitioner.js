@@ -0,0 +1,104 @@
+// ==================== TERRITORY PARTITIONER ====================
+class TerritoryPartitioner {
+  constructor(merchandisers) {
+    this.merchandisers = merchandisers;
+  }
+
+  // Split the store universe into one territory per merchandiser, balanced by
+  // visit workload against capacity and kept close to each home base
+  partition(stores) {
+    const territories = this.merchandisers.map((merchandiser) => ({
+      merchandiser,
+      stores: [],
+      workload: 0,
+      target: 0,
+    }));
+
+    if (territories.length === 0) return territories;
+
+    const totalWorkload = stores.reduce(
+      (sum, s) => sum + this.getWorkload(s),
+      0
+    );
+    const totalCapacity = this.merchandisers.reduce(
+      (sum, m) => sum + m.capacity,
+      0
+    );
+
+    // Fair share of the visits in proportion to each person's capacity
+    territories.forEach((territory) => {
+      const share =
+        totalCapacity > 0
+          ? territory.merchandiser.capacity / totalCapacity
+          : 1 / territories.length;
+      territory.target = totalWorkload * share;
+    });
+
+    // Stores with one obviously closest home go first, contested ones last
+    const candidates = stores.map((store) => {
+      const distances = territories.map((territory) =>
+        Utils.distance(
+          store.lat,
+          store.lng,
+          territory.merchandiser.home.LAT,
+          territory.merchandiser.home.LNG
+        )
+      );
+      const sorted = [...distances].sort((a, b) => a - b);
+      const regret = sorted.length > 1 ? sorted[1] - sorted[0] : 0;
+      return { store, distances, regret };
+    });
+    candidates.sort((a, b) => b.regret - a.regret);
+
+    candidates.forEach((candidate) => {
+      const territory = this.chooseTerritory(territories, candidate);
+      territory.stores.push(candidate.store);
+      territory.workload += this.getWorkload(candidate.store);
+    });
+
+    territories.forEach((territory) => {
+      const name = territory.merchandiser.name;
+      const target = territory.target.toFixed(1);
+      Utils.log(
+        `Territory ${name}: ${territory.stores.length} stores, ` +
+          `${territory.workload}/${target} visits ` +
+          `(capacity ${territory.merchandiser.capacity})`,
+        "INFO"
+      );
+    });
+
+    return territories;
+  }
+
+  // Nearest home with room left; if everyone is full, the least loaded
+  chooseTerritory(territories, candidate) {
+    const workload = this.getWorkload(candidate.store);
+    const limit = 1 + CONFIG.TEAM.BALANCE_TOLERANCE;
+    const order = territories
+      .map((territory, idx) => ({
+        territory,
+        distance: candidate.distances[idx],
+      }))
+      .sort((a, b) => a.distance - b.distance);
+
+    const open = order.find(
+      ({ territory }) =>
+        territory.workload + workload <= Math.ceil(territory.target * limit)
+    );
+    if (open) return open.territory;
+
+    return order.reduce((best, option) =>
+      this.getLoadRatio(option.territory) < this.getLoadRatio(best.territory)
+        ? option
+        : best
+    ).territory;
+  }
+
+  getWorkload(store) {
+    return store.visits || 1;
+  }
+
+  getLoadRatio(territory) {
+    return territory.target > 0 ? territory.workload / territory.target : 0;
+  }
+}
@@ -0,0 +1,132 @@
+// ==================== TIME WINDOW SEQUENCER - STORE OPENING HOURS ====================
+class TimeWindowSequencer {
+  // Reorder a day so stores are visited while open. Days without opening
+  // hours, or whose distance-optimized order already fits, keep their order
+  // apart from each mall's stores being visited one after another.
+  static sequence(stores, dayInfo, start = null) {
+    if (!stores || stores.length < 2) return stores;
+    stores = MallGrouper.keepConsecutive(stores);
+    if (!stores.some((store) => Utils.hasTimeWindow(store))) return stores;
+
+    const current = this.simulate(stores, dayInfo, start);
+    if (current.violations === 0) return stores;
+
+    // Insertion repair: stores without hours keep their route order, then
+    // the tightest windows are inserted first at the cheapest feasible slot
+    const windowed = stores
+      .filter((store) => Utils.hasTimeWindow(store))
+      .sort((a, b) => this.closeOf(a) - this.closeOf(b));
+    let route = stores.filter((store) => !Utils.hasTimeWindow(store));
+
+    windowed.forEach((store) => {
+      let best = null;
+      for (let i = 0; i <= route.length; i++) {
+        const candidate = [...route.slice(0, i), store, ...route.slice(i)];
+        const result = this.simulate(candidate, dayInfo, start);
+        if (!best || this.isBetter(result, best.result)) {
+          best = { route: candidate, result };
+        }
+      }
+      route = best.route;
+    });
+    route = MallGrouper.keepConsecutive(route);
+
+    const repaired = this.simulate(route, dayInfo, start);
+    if (!this.isBetter(repaired, current)) return stores;
+
+    Utils.log(
+      `Resequenced ${stores.length} stores for opening hours: ` +
+        `${current.violations} -> ${repaired.violations} missed windows`,
+      "INFO"
+    );
+    return route;
+  }
+
+  // Same timeline as createDetailedRoute: fixed blocks, provider drive
+  // times, one break, wait to open, then the drive back
+  static simulate(stores, dayInfo, start = null) {
+    return this.finish(
+      stores.reduce(
+        (state, store) => this.visit(state, store, dayInfo),
+        this.begin(dayInfo, start)
+      ),
+      dayInfo
+    );
+  }
+
+  // The day before its first visit (or from a given { time, point })
+  static begin(dayInfo, start = null) {
+    const time = start ? start.time : Utils.getWorkStart(dayInfo);
+    const breakWindow = Utils.getBreakWindow(dayInfo);
+    return {
+      time,
+      point: start ? start.point : TravelProvider.start(dayInfo),
+      hasBreak: !breakWindow || time > breakWindow.end,
+      violations: 0,
+      lateMinutes: 0, // Visit minutes past closing time
+      km: 0,
+    };
+  }
+
+  // The day after one more visit; the state passed in is left as it was
+  static visit(state, store, dayInfo) {
+    const due = Utils.attendBlocks(dayInfo, state.time, state.point, store);
+    const leg = TravelProvider.leg(due.point, store, due.time, dayInfo);
+    let time = due.time + leg.minutes;
+    let hasBreak = state.hasBreak;
+
+    const breakWindow = Utils.getBreakWindow(dayInfo);
+    if (!hasBreak && time >= breakWindow.start && time < breakWindow.end) {
+      time = breakWindow.end;
+      hasBreak = true;
+    }
+
+    const visitStart = Utils.getVisitStart(store, time);
+    const missed = Utils.missesTimeWindow(store, visitStart);
+    const departTime =
+      visitStart + CONFIG.BUFFER_TIME + Utils.getVisitTime(store);
+    return {
+      time: departTime,
+      point: store,
+      hasBreak,
+      violations: state.violations + (missed ? 1 : 0),
+      lateMinutes:
+        state.lateMinutes +
+        (missed ? visitStart + Utils.getVisitTime(store) - store.closeTime : 0),
+      km:
+        state.km +
+        due.blocks.reduce((sum, block) => sum + block.distance, 0) +
+        leg.km,
+    };
+  }
+
+  // Blocks still to come, then the drive to the day's end location
+  static finish(state, dayInfo) {
+    const after = Utils.attendBlocks(dayInfo, state.time, state.point);
+    const leg = TravelProvider.leg(
+      after.point,
+      TravelProvider.end(dayInfo),
+      after.time,
+      dayInfo
+    );
+    return {
+      violations: state.violations,
+      lateMinutes: state.lateMinutes,
+      endTime: after.time + leg.minutes,
+      km:
+        state.km +
+        after.blocks.reduce((sum, block) => sum + block.distance, 0) +
+        leg.km,
+    };
+  }
+
+  // Fewer missed windows first, then the earlier finish
+  static isBetter(a, b) {
+    if (a.violations !== b.violations) return a.violations < b.violations;
+    return a.endTime < b.endTime;
+  }
+
+  static closeOf(store) {
+    return store.closeTime != null ? store.closeTime : Infinity;
+  }
+}
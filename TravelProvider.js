@@ -0,0 +1,282 @@
+// ==================== TRAVEL PROVIDER - DISTANCE AND DRIVE TIME ====================
+// Every optimizer asks here for the road distance (km) and drive time (minutes)
+// between two points. Points are stores or plain { lat, lng } objects; a day
+// runs from TravelProvider.start(dayInfo) to TravelProvider.end(dayInfo).
+class TravelProvider {
+  constructor() {
+    this.name = "HAVERSINE";
+    this.cache = new Map(); // "from|to" -> { km, minutes }, kept for the run
+  }
+
+  // One provider per run, picked by CONFIG.TRAVEL.PROVIDER
+  static current() {
+    const name = CONFIG.TRAVEL.PROVIDER;
+    if (!TravelProvider.instance || TravelProvider.instance.name !== name) {
+      TravelProvider.instance = TravelProvider.create(name);
+    }
+    return TravelProvider.instance;
+  }
+
+  static create(name) {
+    if (name === "ROAD_FACTOR") return new RoadFactorTravelProvider();
+    if (name === "MATRIX") return new MatrixTravelProvider();
+    if (name !== "HAVERSINE") {
+      Utils.log(`Unknown travel provider "${name}", using HAVERSINE`, "WARN");
+    }
+    return new TravelProvider();
+  }
+
+  // Shortcut for the current provider
+  static leg(from, to, departTime = null, dayInfo = null) {
+    return TravelProvider.current().getLeg(from, to, departTime, dayInfo);
+  }
+
+  // Team runs swap CONFIG.START and the profile per merchandiser, so a home
+  // carries whose it is
+  static home() {
+    return {
+      lat: CONFIG.START.LAT,
+      lng: CONFIG.START.LNG,
+      isHome: true,
+      merchandiserId: (CONFIG.MERCHANDISER && CONFIG.MERCHANDISER.ID) || "",
+    };
+  }
+
+  // Where a day begins: its Day Locations start, otherwise home
+  static start(dayInfo = null) {
+    return (dayInfo && dayInfo.startLocation) || TravelProvider.home();
+  }
+
+  // Where a day finishes: its Day Locations end, then CONFIG.END, then home
+  static end(dayInfo = null) {
+    if (dayInfo && dayInfo.endLocation) return dayInfo.endLocation;
+    if (!CONFIG.END) return TravelProvider.home();
+    return { lat: CONFIG.END.LAT, lng: CONFIG.END.LNG, isEnd: true };
+  }
+
+  // Stores are keyed by number, anything else by its coordinates
+  static pointKey(point) {
+    const coords = `${point.lat.toFixed(5)},${point.lng.toFixed(5)}`;
+    if (point.isHome) return `HOME@${coords}`;
+    if (point.isEnd) return `END@${coords}`;
+    if (point.locationName) return `${point.locationName}@${coords}`;
+    return point.noStr ? `#${point.noStr}` : coords;
+  }
+
+  // City speed up to HIGHWAY_FROM_KM, highway speed for the rest of the leg
+  static driveMinutes(km) {
+    const { AVG_SPEED_CITY, AVG_SPEED_HIGHWAY } = CONFIG.TRAVEL_LIMITS;
+    const cityKm = Math.min(km, CONFIG.TRAVEL.HIGHWAY_FROM_KM);
+    const highwayKm = km - cityKm;
+    return Math.round(
+      cityKm * (60 / AVG_SPEED_CITY) + highwayKm * (60 / AVG_SPEED_HIGHWAY)
+    );
+  }
+
+  // Free-flow leg from the cache, slowed by the traffic band it departs in
+  getLeg(from, to, departTime = null, dayInfo = null) {
+    const fromKey = TravelProvider.pointKey(from);
+    const toKey = TravelProvider.pointKey(to);
+    if (fromKey === toKey) return { km: 0, minutes: 0 }; // Already there
+
+    const key = `${fromKey}|${toKey}`;
+    let leg = this.cache.get(key);
+    if (!leg) {
+      leg = this.measure(from, to);
+      this.cache.set(key, leg);
+    }
+
+    // Stores in the same mall are a walk apart, whatever the traffic
+    if (from.mallClusterId && from.mallClusterId === to.mallClusterId) {
+      return { km: leg.km, minutes: Utils.calculateTravelTime(from, to) };
+    }
+
+    const factor = TravelProvider.getTrafficFactor(departTime, dayInfo);
+    return factor === 1
+      ? leg
+      : { km: leg.km, minutes: Math.round(leg.minutes * factor) };
+  }
+
+  // First band in CONFIG.TRAVEL.TRAFFIC_PROFILES that the departure falls in;
+  // bands limited to certain weekdays only apply when the day is known
+  static getTrafficFactor(departTime, dayInfo = null) {
+    if (departTime == null) return 1;
+
+    const band = CONFIG.TRAVEL.TRAFFIC_PROFILES.find(
+      (profile) =>
+        departTime >= profile.FROM &&
+        departTime < profile.TO &&
+        (!profile.DAYS ||
+          (dayInfo &&
+            TravelProvider.getBandDays(profile).includes(dayInfo.dayOfWeek)))
+    );
+    return band ? band.FACTOR : 1;
+  }
+
+  static getBandDays(profile) {
+    TravelProvider.bandDays = TravelProvider.bandDays || new Map();
+    if (!TravelProvider.bandDays.has(profile.DAYS)) {
+      const days = DateCalculator.parseDayList(profile.DAYS);
+      if (!days) {
+        Utils.log(`Traffic band days "${profile.DAYS}" not understood`, "WARN");
+      }
+      TravelProvider.bandDays.set(profile.DAYS, days || []);
+    }
+    return TravelProvider.bandDays.get(profile.DAYS);
+  }
+
+  getDistance(from, to) {
+    return this.getLeg(from, to).km;
+  }
+
+  getMinutes(from, to) {
+    return this.getLeg(from, to).minutes;
+  }
+
+  // Straight-line distance at the configured speeds
+  measure(from, to) {
+    const km = Utils.distance(from.lat, from.lng, to.lat, to.lng);
+    return { km, minutes: TravelProvider.driveMinutes(km) };
+  }
+}
+
+// Straight-line distance stretched by a road-network factor per district
+class RoadFactorTravelProvider extends TravelProvider {
+  constructor() {
+    super();
+    this.name = "ROAD_FACTOR";
+  }
+
+  measure(from, to) {
+    const km =
+      Utils.distance(from.lat, from.lng, to.lat, to.lng) *
+      this.getFactor(from, to);
+    return { km, minutes: TravelProvider.driveMinutes(km) };
+  }
+
+  // The destination's district decides, then the origin's, then DEFAULT
+  getFactor(from, to) {
+    const { DEFAULT, BY_DISTRICT } = CONFIG.TRAVEL.ROAD_FACTOR;
+    const district = (to.district || from.district || "")
+      .toString()
+      .trim()
+      .toLowerCase();
+    const key = Object.keys(BY_DISTRICT).find(
+      (name) => name.toLowerCase() === district
+    );
+    return key ? BY_DISTRICT[key] : DEFAULT;
+  }
+}
+
+// Precomputed road distances and times from a sheet (e.g. an imported CSV):
+// From | To | Km | Minutes, keyed by No.Str, HOME (HOME:<merchandiser ID>
+// when the profile has an ID), END or a Day Locations name. Pairs are looked
+// up in both directions; missing pairs fall back to the straight-line
+// estimate.
+class MatrixTravelProvider extends TravelProvider {
+  constructor() {
+    super();
+    this.name = "MATRIX";
+    this.matrix = null;
+    this.ids = new Set(); // Every From/To value in the sheet
+    this.unknownIds = new Set(); // Homes and ends warned about
+    this.misses = 0;
+  }
+
+  // Each merchandiser's home has its own rows; CONFIG.END is one shared point
+  static matrixId(point) {
+    if (point.isHome) {
+      return point.merchandiserId ? `HOME:${point.merchandiserId}` : "HOME";
+    }
+    if (point.isEnd) return "END";
+    if (point.locationName) return point.locationName;
+    return point.noStr ? point.noStr.toString().trim() : null;
+  }
+
+  loadMatrix() {
+    if (this.matrix) return this.matrix;
+
+    this.matrix = new Map();
+    const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(
+      CONFIG.TRAVEL.MATRIX_SHEET
+    );
+    if (!sheet || sheet.getLastRow() < 2) {
+      Utils.log(
+        `No "${CONFIG.TRAVEL.MATRIX_SHEET}" sheet found - using straight-line travel`,
+        "WARN"
+      );
+      return this.matrix;
+    }
+
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 4).getValues();
+    rows.forEach(([from, to, km, minutes], idx) => {
+      const entry = { km: parseFloat(km), minutes: parseFloat(minutes) };
+      if (!from || !to || (isNaN(entry.km) && isNaN(entry.minutes))) {
+        if (from || to) {
+          Utils.log(
+            `Travel matrix row ${idx + 2}: incomplete, skipped`,
+            "WARN"
+          );
+        }
+        return;
+      }
+      this.matrix.set(
+        `${from.toString().trim()}|${to.toString().trim()}`,
+        entry
+      );
+      this.ids.add(from.toString().trim());
+      this.ids.add(to.toString().trim());
+    });
+
+    Utils.log(`Travel matrix loaded: ${this.matrix.size} pairs`, "INFO");
+    return this.matrix;
+  }
+
+  measure(from, to) {
+    const matrix = this.loadMatrix();
+    const fromId = MatrixTravelProvider.matrixId(from);
+    const toId = MatrixTravelProvider.matrixId(to);
+    const entry =
+      fromId && toId
+        ? matrix.get(`${fromId}|${toId}`) || matrix.get(`${toId}|${fromId}`)
+        : null;
+
+    if (!entry) {
+      // A home or end with no rows at all, e.g. a merchandiser left out of
+      // the matrix, is reported once on its own
+      const unknown = [from, to]
+        .filter((point) => point.isHome || point.isEnd)
+        .map((point) => MatrixTravelProvider.matrixId(point))
+        .find((id) => !this.ids.has(id) && !this.unknownIds.has(id));
+      if (unknown && matrix.size > 0) {
+        this.unknownIds.add(unknown);
+        Utils.log(
+          `Travel matrix has no rows for ${unknown}; its legs use ` +
+            `straight-line estimates`,
+          "WARN"
+        );
+        return super.measure(from, to);
+      }
+
+      this.misses++;
+      if (this.misses === 1) {
+        Utils.log(
+          `Travel matrix has no ${fromId || "location"} -> ${
+            toId || "location"
+          } entry; missing pairs use straight-line estimates`,
+          "WARN"
+        );
+      }
+      return super.measure(from, to);
+    }
+
+    // Either column may be blank: fill it in from the other
+    const km = isNaN(entry.km)
+      ? Utils.distance(from.lat, from.lng, to.lat, to.lng)
+      : entry.km;
+    const minutes = isNaN(entry.minutes)
+      ? TravelProvider.driveMinutes(km)
+      : Math.round(entry.minutes);
+    return { km, minutes };
+  }
+}
@@ -1,35 +1,22 @@
-// ==================== UTILIZATION MANAGER - SIMPLIFIED ====================
+// ==================== UTILIZATION MANAGER - CAPACITY MODEL ====================
 class UtilizationManager {
   constructor(sheet) {
     this.sheet = sheet;
   }
 
-  getConfig() {
-    const ranges = ["D42", "D43", "D44", "D45", "D46", "D47", "D48", "D49"];
-    const keys = [
-      "P1",
-      "P1,P2",
-      "P1,P2,P3",
-      "P1,P2,P3,P4",
-      "P1,P2,P3,P4,P5",
-      "P1,P2,P3,P4,P5,P6",
-      "P1,P2,P3,P4,P5,P6,P7",
-      "P1,P2,P3,P4,P5,P6,P7,P8",
-    ];
-
-    const utilizations = {};
-    ranges.forEach((range, i) => {
-      try {
-        const display = this.sheet.getRange(range).getDisplayValue();
-        utilizations[keys[i]] = Utils.parsePercentage(display);
-      } catch (e) {
-        Utils.log(`Error reading range ${range}: ${e}`, "ERROR");
-        utilizations[keys[i]] = 100;
-      }
-    });
-
-    // Get current visit frequencies
+  // Pick the largest cumulative priority set (P1, P1+P2, ...) whose workload
+  // fits the month. workingDays is the plan's weeks of days; a team passes
+  // every merchandiser's weeks so their time adds up. The visit history,
+  // when given, lets the marginal tier favour stores waiting longest.
+  getConfig(workingDays = null, visitHistory = null) {
     const visitFrequencies = this.getVisitFrequencies();
+    const days = workingDays || new DateCalculator().getMonthlyWorkingDays();
+    const capacity =
+      CONFIG.UTILIZATION.SOURCE === "SHEET"
+        ? this.readSheetUtilizations(days)
+        : this.estimateUtilizations(visitFrequencies, days);
+    const utilizations = capacity.utilizations;
+    const maxPercent = CONFIG.UTILIZATION.MAX_PERCENT;
 
     // Find optimal priority set
     const prioritySets = [
@@ -46,44 +33,68 @@ class UtilizationManager {
     for (const priorities of prioritySets) {
       const key = priorities.join(",");
 
-      // Check if utilization is <= 100%
-      if (utilizations[key] && utilizations[key] <= 100) {
+      // Check if utilization is within the limit
+      if (utilizations[key] && utilizations[key] <= maxPercent) {
         // Validate that priorities have meaningful visit frequency
-        const validPriorities = priorities.filter((priority) => {
-          const frequency = visitFrequencies[priority];
-          return (
-            frequency && frequency >= CONFIG.FRACTIONAL_VISITS.MIN_FREQUENCY
-          );
-        });
+        const validPriorities = priorities.filter((priority) =>
+          this.hasFrequency(visitFrequencies, priority)
+        );
 
         if (validPriorities.length > 0) {
           const finalKey = validPriorities.join(",");
           const finalUtilization = utilizations[finalKey] || utilizations[key];
+          const basis = this.explainChoice(
+            capacity,
+            validPriorities,
+            finalUtilization,
+            visitFrequencies
+          );
 
-          Utils.log(
-            `Selected priorities: ${finalKey} with ${finalUtilization}% utilization`,
-            "INFO"
+          const marginalTier = this.selectMarginalStores(
+            capacity,
+            validPriorities,
+            finalUtilization,
+            visitFrequencies,
+            visitHistory
           );
+          let utilization = finalUtilization;
+          if (marginalTier) {
+            utilization +=
+              (marginalTier.usedMinutes / capacity.availableMinutes) * 100;
+          }
+          const reasoning =
+            basis + UtilizationManager.describeMarginalTier(marginalTier);
+
+          Utils.log(`Selected priorities: ${reasoning}`, "INFO");
 
           return {
             includePriorities: validPriorities,
-            utilization: finalUtilization,
+            utilization: utilization,
             visitFrequencies: visitFrequencies,
+            capacity: capacity,
+            reasoning: reasoning,
+            basis: basis,
+            marginalTier: marginalTier,
           };
         }
       }
     }
 
     // Fallback: P1 only if it has valid frequency
-    if (
-      visitFrequencies["P1"] &&
-      visitFrequencies["P1"] >= CONFIG.FRACTIONAL_VISITS.MIN_FREQUENCY
-    ) {
-      Utils.log("Falling back to P1 only", "WARN");
+    if (this.hasFrequency(visitFrequencies, "P1")) {
+      const utilization = utilizations["P1"] || 100;
+      const reasoning =
+        `No priority set fits within ${maxPercent}% - planning P1 only ` +
+        `(${utilization.toFixed(1)}%)`;
+      Utils.log(reasoning, "WARN");
       return {
         includePriorities: ["P1"],
-        utilization: utilizations["P1"] || 100,
+        utilization: utilization,
         visitFrequencies: visitFrequencies,
+        capacity: capacity,
+        reasoning: reasoning,
+        basis: reasoning,
+        marginalTier: null,
       };
     }
 
@@ -92,6 +103,461 @@ class UtilizationManager {
     );
   }
 
+  hasFrequency(visitFrequencies, priority) {
+    const frequency = visitFrequencies[priority];
+    return frequency && frequency >= CONFIG.FRACTIONAL_VISITS.MIN_FREQUENCY;
+  }
+
+  // Every cumulative key in order: "P1", "P1,P2", ... "P1,...,P8"
+  static getSetKeys() {
+    const priorities = Object.keys(CONFIG.PRIORITIES);
+    return priorities.map((_, idx) => priorities.slice(0, idx + 1).join(","));
+  }
+
+  // First priority after the chosen set that has a visit frequency
+  getNextPriority(priorities, visitFrequencies) {
+    return Object.keys(CONFIG.PRIORITIES).find(
+      (priority) =>
+        !priorities.includes(priority) &&
+        this.hasFrequency(visitFrequencies, priority)
+    );
+  }
+
+  // Override: percentages pre-computed by the formulas in D42:D49
+  readSheetUtilizations(workingDays) {
+    const ranges = ["D42", "D43", "D44", "D45", "D46", "D47", "D48", "D49"];
+    const keys = UtilizationManager.getSetKeys();
+
+    const utilizations = {};
+    ranges.forEach((range, i) => {
+      try {
+        const display = this.sheet.getRange(range).getDisplayValue();
+        utilizations[keys[i]] = Utils.parsePercentage(display);
+      } catch (e) {
+        Utils.log(`Error reading range ${range}: ${e}`, "ERROR");
+        utilizations[keys[i]] = 100;
+      }
+    });
+
+    return {
+      source: "SHEET",
+      availableMinutes: UtilizationManager.getAvailableMinutes(workingDays),
+      dayCount: workingDays.reduce((sum, week) => sum + week.length, 0),
+      utilizations,
+      sets: [],
+    };
+  }
+
+  // Minutes each cumulative set needs against the month's working minutes.
+  // A visit costs its visit time, the buffer and the drive from its nearest
+  // neighbour in the set, so sparse territories cost more than dense ones.
+  estimateUtilizations(visitFrequencies, workingDays) {
+    const availableMinutes =
+      UtilizationManager.getAvailableMinutes(workingDays);
+    const dayCount = workingDays.reduce((sum, week) => sum + week.length, 0);
+    const repository = StoreRepository.forSheet(this.sheet);
+    const keys = UtilizationManager.getSetKeys();
+
+    const points = []; // Stores in the set so far, first priority wins
+    const seen = new Set();
+    const utilizations = {};
+    const sets = [];
+
+    Object.keys(CONFIG.PRIORITIES).forEach((priority, idx) => {
+      const frequency = this.hasFrequency(visitFrequencies, priority)
+        ? visitFrequencies[priority]
+        : 0;
+      // Whole visits as loadStores plans them; fractions count as expected
+      const visits = frequency >= 1 ? Math.floor(frequency) : frequency;
+      const before = points.length;
+
+      if (visits > 0) {
+        repository.getRows(priority).forEach((record) => {
+          if (seen.has(record.noStr)) return;
+          if (isNaN(record.lat) || isNaN(record.lng)) return;
+          seen.add(record.noStr);
+
+          const point = {
+            record: record,
+            visits: visits,
+            minutes:
+              Utils.resolveVisitTime(record, priority) + CONFIG.BUFFER_TIME,
+            nearest: null,
+            nearestKm: Infinity,
+          };
+          points.forEach((other) => {
+            const km = Utils.distance(
+              record.lat,
+              record.lng,
+              other.record.lat,
+              other.record.lng
+            );
+            if (km < point.nearestKm) {
+              point.nearest = other.record;
+              point.nearestKm = km;
+            }
+            if (km < other.nearestKm) {
+              other.nearest = record;
+              other.nearestKm = km;
+            }
+          });
+          points.push(point);
+        });
+      }
+
+      const requiredMinutes = points.reduce((sum, point) => {
+        const travel = point.nearest
+          ? TravelProvider.current().getMinutes(point.nearest, point.record)
+          : 0;
+        return sum + point.visits * (point.minutes + travel);
+      }, 0);
+      const utilization =
+        availableMinutes > 0 ? (requiredMinutes / availableMinutes) * 100 : 0;
+
+      utilizations[keys[idx]] = utilization;
+      sets.push({
+        key: keys[idx],
+        storeCount: points.length,
+        addsStores: points.length > before,
+        requiredMinutes: Math.round(requiredMinutes),
+        utilization: utilization,
+      });
+    });
+
+    sets.forEach((set) => {
+      Utils.log(
+        `Capacity ${set.key}: ${set.storeCount} stores, ` +
+          `${set.requiredMinutes}/${availableMinutes} min ` +
+          `(${set.utilization.toFixed(1)}%)`,
+        "INFO"
+      );
+    });
+
+    return {
+      source: "MODEL",
+      availableMinutes,
+      dayCount,
+      utilizations,
+      sets,
+    };
+  }
+
+  // Working minutes after breaks, holidays, half days and fixed blocks
+  static getAvailableMinutes(workingDays) {
+    let minutes = 0;
+    workingDays.forEach((week) => {
+      week.forEach((dayInfo) => {
+        minutes += Utils.getAvailableMinutes(dayInfo);
+      });
+    });
+    return minutes;
+  }
+
+  // One line for the summary: the chosen set and why the next one was left out
+  explainChoice(capacity, priorities, utilization, visitFrequencies) {
+    const key = priorities.join(",");
+    const nextPriority = this.getNextPriority(priorities, visitFrequencies);
+    const nextKey = nextPriority
+      ? UtilizationManager.getSetKeys()[
+          Object.keys(CONFIG.PRIORITIES).indexOf(nextPriority)
+        ]
+      : null;
+
+    let reasoning;
+    if (capacity.source === "SHEET") {
+      reasoning =
+        `${key} at ${utilization.toFixed(1)}% ` + `(sheet override, D42:D49)`;
+    } else {
+      const set = capacity.sets.find((s) => s.key === key);
+      reasoning =
+        `${key} needs ${set.requiredMinutes} of ` +
+        `${capacity.availableMinutes} min over ${capacity.dayCount} days ` +
+        `(${utilization.toFixed(1)}%)`;
+    }
+
+    if (!nextKey) {
+      return `${reasoning}; every priority with a frequency fits`;
+    }
+    const nextUtilization = capacity.utilizations[nextKey];
+    return (
+      `${reasoning}; adding ${nextPriority} would need ` +
+      `${(nextUtilization || 0).toFixed(1)}%`
+    );
+  }
+
+  // The next priority rarely fits whole, so take as many of its stores as
+  // the spare minutes allow, best-ranked first. Null when none fit.
+  selectMarginalStores(
+    capacity,
+    priorities,
+    utilization,
+    visitFrequencies,
+    visitHistory
+  ) {
+    const settings = CONFIG.UTILIZATION.MARGINAL_TIER;
+    const priority = this.getNextPriority(priorities, visitFrequencies);
+    if (!settings.ENABLED || !priority || !capacity.availableMinutes) {
+      return null;
+    }
+
+    let spareMinutes =
+      ((CONFIG.UTILIZATION.MAX_PERCENT - utilization) / 100) *
+      capacity.availableMinutes;
+    if (spareMinutes <= 0) return null;
+
+    const repository = StoreRepository.forSheet(this.sheet);
+    const planned = [];
+    priorities.forEach((p) => {
+      repository.getRows(p).forEach((record) => {
+        if (!isNaN(record.lat) && !isNaN(record.lng)) planned.push(record);
+      });
+    });
+    const plannedIds = new Set(planned.map((record) => record.noStr));
+
+    // A fractional tier still costs one visit per store that makes it in
+    const visits = Math.max(1, Math.floor(visitFrequencies[priority]));
+    const candidates = repository
+      .getRows(priority)
+      .filter(
+        (record) =>
+          !plannedIds.has(record.noStr) &&
+          !isNaN(record.lat) &&
+          !isNaN(record.lng)
+      )
+      .map((record) => {
+        let nearest = null;
+        let nearestKm = Infinity;
+        planned.forEach((other) => {
+          const km = Utils.distance(
+            record.lat,
+            record.lng,
+            other.lat,
+            other.lng
+          );
+          if (km < nearestKm) {
+            nearest = other;
+            nearestKm = km;
+          }
+        });
+        const travel = nearest
+          ? TravelProvider.current().getMinutes(nearest, record)
+          : 0;
+        return {
+          record,
+          nearestKm,
+          monthsSince: visitHistory
+            ? visitHistory.getMonthsSinceVisit(record.noStr)
+            : Infinity,
+          minutes:
+            visits *
+            (Utils.resolveVisitTime(record, priority) +
+              CONFIG.BUFFER_TIME +
+              travel),
+        };
+      });
+
+    let rankBy = settings.RANK_BY;
+    if (!UtilizationManager.getMarginalRanking(rankBy)) {
+      Utils.log(`Unknown marginal ranking "${rankBy}", using SALES`, "WARN");
+      rankBy = "SALES";
+    }
+    candidates.sort(UtilizationManager.getMarginalRanking(rankBy));
+
+    const selected = [];
+    let usedMinutes = 0;
+    candidates.forEach((candidate) => {
+      if (candidate.minutes > spareMinutes) return;
+      spareMinutes -= candidate.minutes;
+      usedMinutes += candidate.minutes;
+      selected.push(candidate);
+    });
+    if (selected.length === 0) return null;
+
+    Utils.log(
+      `Marginal tier ${priority}: ${selected.length}/${candidates.length} ` +
+        `stores added by ${rankBy} (${Math.round(usedMinutes)} min)`,
+      "INFO"
+    );
+
+    return {
+      priority,
+      rankBy,
+      candidateCount: candidates.length,
+      usedMinutes: Math.round(usedMinutes),
+      noStrs: new Set(selected.map((candidate) => candidate.record.noStr)),
+      stores: selected.map((candidate) => ({
+        noStr: candidate.record.noStr,
+        name: candidate.record.name,
+        minutes: Math.round(candidate.minutes),
+        reason: this.describeMarginalReason(candidate, rankBy),
+      })),
+    };
+  }
+
+  // The team's choice measured against one merchandiser: their working days
+  // and their territory's stores, costed like estimateUtilizations
+  getTerritoryConfig(teamConfig, workingDays, stores) {
+    const availableMinutes =
+      UtilizationManager.getAvailableMinutes(workingDays);
+    const dayCount = workingDays.reduce((sum, week) => sum + week.length, 0);
+    const percent = (minutes) =>
+      availableMinutes > 0 ? (minutes / availableMinutes) * 100 : 0;
+
+    const key = teamConfig.includePriorities.join(",");
+    const planned = stores.filter((store) => !store.isMarginal);
+    const requiredMinutes = Math.round(
+      UtilizationManager.estimateRequiredMinutes(planned)
+    );
+    const capacity = {
+      source: "MODEL",
+      availableMinutes,
+      dayCount,
+      utilizations: { [key]: percent(requiredMinutes) },
+      sets: [
+        {
+          key,
+          storeCount: planned.length,
+          addsStores: true,
+          requiredMinutes,
+          utilization: percent(requiredMinutes),
+        },
+      ],
+    };
+
+    // Only the marginal stores that went to this territory
+    const tier = teamConfig.marginalTier;
+    const noStrs = new Set(stores.map((store) => store.noStr));
+    const tierStores = tier
+      ? tier.stores.filter((store) => noStrs.has(store.noStr))
+      : [];
+    const marginalTier = tier
+      ? {
+          ...tier,
+          stores: tierStores,
+          usedMinutes: tierStores.reduce(
+            (sum, store) => sum + store.minutes,
+            0
+          ),
+        }
+      : null;
+
+    const basis =
+      `${key} needs ${requiredMinutes} of ${availableMinutes} min over ` +
+      `${dayCount} days (${percent(requiredMinutes).toFixed(1)}%) in this ` +
+      `territory; priorities chosen for the whole team`;
+
+    return {
+      ...teamConfig,
+      utilization: percent(
+        requiredMinutes + (marginalTier ? marginalTier.usedMinutes : 0)
+      ),
+      capacity,
+      basis,
+      reasoning: basis + UtilizationManager.describeMarginalTier(marginalTier),
+      marginalTier,
+    };
+  }
+
+  // Visit time, buffer and the drive from the nearest other store, per visit
+  static estimateRequiredMinutes(stores) {
+    return stores.reduce((sum, store) => {
+      let nearest = null;
+      let nearestKm = Infinity;
+      stores.forEach((other) => {
+        if (other === store) return;
+        const km = Utils.distance(store.lat, store.lng, other.lat, other.lng);
+        if (km < nearestKm) {
+          nearest = other;
+          nearestKm = km;
+        }
+      });
+
+      const travel = nearest
+        ? TravelProvider.current().getMinutes(nearest, store)
+        : 0;
+      const minutes =
+        (store.visitTime || CONFIG.DEFAULT_VISIT_TIME) + CONFIG.BUFFER_TIME;
+      return sum + (store.visits || 1) * (minutes + travel);
+    }, 0);
+  }
+
+  // Reasoning suffix for the marginal tier; empty when there is none
+  static describeMarginalTier(tier) {
+    if (!tier) return "";
+    return (
+      `; ${tier.stores.length} of ${tier.candidateCount} ${tier.priority} ` +
+      `stores fill the spare time (ranked by ` +
+      `${tier.rankBy.toLowerCase().replace("_", " ")})`
+    );
+  }
+
+  // The marginal tier as planned: only its stores on the plan's days stay
+  // listed, and stores the plan was given but dropped (e.g. trimmed from
+  // full days) no longer count towards the utilization or the reasoning
+  static settleMarginalTier(utilConfig, workingDays, stores = null) {
+    const tier = utilConfig.marginalTier;
+    if (!tier) return utilConfig;
+
+    const planned = new Set();
+    workingDays.forEach((week) =>
+      week.forEach((dayInfo) =>
+        (dayInfo.optimizedStores || []).forEach((store) =>
+          planned.add(store.noStr)
+        )
+      )
+    );
+    const given = stores ? new Set(stores.map((store) => store.noStr)) : null;
+    const kept = tier.stores.filter((store) => planned.has(store.noStr));
+    const droppedMinutes = tier.stores
+      .filter((store) => !planned.has(store.noStr))
+      .filter((store) => !given || given.has(store.noStr))
+      .reduce((sum, store) => sum + store.minutes, 0);
+    const availableMinutes = utilConfig.capacity
+      ? utilConfig.capacity.availableMinutes
+      : 0;
+
+    const settled = {
+      ...tier,
+      stores: kept,
+      usedMinutes: kept.reduce((sum, store) => sum + store.minutes, 0),
+    };
+
+    return {
+      ...utilConfig,
+      utilization: availableMinutes
+        ? utilConfig.utilization - (droppedMinutes / availableMinutes) * 100
+        : utilConfig.utilization,
+      reasoning:
+        utilConfig.basis + UtilizationManager.describeMarginalTier(settled),
+      marginalTier: settled,
+    };
+  }
+
+  // Candidate orderings for the marginal tier; ties go to the higher sales
+  static getMarginalRanking(rankBy) {
+    const ascending = (a, b) => (a === b ? 0 : a < b ? -1 : 1);
+    const bySales = (a, b) => b.record.salesL6M - a.record.salesL6M;
+    const rankings = {
+      SALES: bySales,
+      PROXIMITY: (a, b) => ascending(a.nearestKm, b.nearestKm) || bySales(a, b),
+      LAST_VISIT: (a, b) =>
+        ascending(b.monthsSince, a.monthsSince) || bySales(a, b),
+    };
+    return rankings[rankBy] || null;
+  }
+
+  describeMarginalReason(candidate, rankBy) {
+    if (rankBy === "PROXIMITY") {
+      return `${candidate.nearestKm.toFixed(1)} km from a planned store`;
+    }
+    if (rankBy === "LAST_VISIT") {
+      return isFinite(candidate.monthsSince)
+        ? `Last visited ${candidate.monthsSince} months ago`
+        : "No visit on record";
+    }
+    return `Sales L6M ${Math.round(candidate.record.salesL6M)}`;
+  }
+
   // Get visit frequencies with fractional support
   getVisitFrequencies() {
     const ranges = ["B24", "B25", "B26", "B27", "B28", "B29", "B30", "B31"];
@@ -0,0 +1,175 @@
+// ==================== VISIT HISTORY - FRACTIONAL ROTATION ====================
+class VisitHistory {
+  constructor(ss, targetMonth = null) {
+    const target = targetMonth || DateCalculator.getDefaultTargetMonth();
+    this.ss = ss;
+    this.targetKey = VisitHistory.monthKey(target.year, target.month);
+    this.entries = null; // noStr -> Set of visited month keys
+    this.visited = new Set(); // Stores planned for the target month
+  }
+
+  // Months are stored as "yyyy-mm" text and compared as year * 12 + month
+  static monthKey(year, month) {
+    return year * 12 + month;
+  }
+
+  static formatMonthKey(key) {
+    const month = (key % 12) + 1;
+    return `${Math.floor(key / 12)}-${month.toString().padStart(2, "0")}`;
+  }
+
+  // Sheets may turn "2026-10" into a date, so accept both
+  static parseMonthKey(value) {
+    if (value instanceof Date) {
+      return isNaN(value.getTime())
+        ? null
+        : VisitHistory.monthKey(value.getFullYear(), value.getMonth());
+    }
+
+    const match = (value || "")
+      .toString()
+      .trim()
+      .match(/^(\d{4})-(\d{1,2})$/);
+    return match ? VisitHistory.monthKey(+match[1], +match[2] - 1) : null;
+  }
+
+  // Read the history sheet once: No.Str | Last Visit | Visited Months. Both
+  // month columns are read, so sheets kept as Last | Previous still load.
+  loadEntries() {
+    if (this.entries) return this.entries;
+
+    this.entries = new Map();
+    const sheet = this.ss.getSheetByName(CONFIG.VISIT_HISTORY.SHEET_NAME);
+    if (!sheet || sheet.getLastRow() < 2) {
+      Utils.log(
+        "No visit history yet - fractional stores start a fresh rotation",
+        "INFO"
+      );
+      return this.entries;
+    }
+
+    const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues();
+    rows.forEach(([noStr, last, months]) => {
+      if (!noStr) return;
+      const visited = new Set();
+      [last, ...VisitHistory.splitMonths(months)].forEach((value) => {
+        const key = VisitHistory.parseMonthKey(value);
+        if (key !== null) visited.add(key);
+      });
+      this.entries.set(noStr.toString().trim(), visited);
+    });
+
+    Utils.log(`Visit history loaded: ${this.entries.size} stores`, "INFO");
+    return this.entries;
+  }
+
+  // "2026-08, 2026-10" as a list; a single month may arrive as a date
+  static splitMonths(value) {
+    if (value instanceof Date) return [value];
+    return (value || "")
+      .toString()
+      .split(",")
+      .map((month) => month.trim())
+      .filter(Boolean);
+  }
+
+  // Months between the last visit before the target month and the target;
+  // re-planning a month ignores what the earlier run recorded for it
+  getMonthsSinceVisit(noStr) {
+    const visited = this.loadEntries().get((noStr || "").toString().trim());
+    if (!visited) return Infinity;
+
+    const before = Array.from(visited).filter((key) => key < this.targetKey);
+    return before.length === 0
+      ? Infinity
+      : this.targetKey - Math.max(...before);
+  }
+
+  // Pick round(count × frequency) stores, longest-waiting first. A 0.33 store
+  // builds up 0.33 credit per month without a visit, so it comes round every
+  // third month; ties (e.g. no history yet) fall back to the seeded order.
+  selectRotation(records, frequency, priority) {
+    const seen = new Set();
+    const candidates = [];
+    records.forEach((record) => {
+      if (seen.has(record.noStr)) return;
+      seen.add(record.noStr);
+      candidates.push({
+        noStr: record.noStr,
+        credit: this.getMonthsSinceVisit(record.noStr) * frequency,
+        tieBreak: Utils.seededRandom(
+          Utils.generateSeed(candidates.length, priority)
+        ),
+      });
+    });
+
+    candidates.sort((a, b) =>
+      a.credit !== b.credit ? b.credit - a.credit : a.tieBreak - b.tieBreak
+    );
+
+    const quota = Utils.calculateExpectedVisits(frequency, candidates.length);
+    const selected = new Set(candidates.slice(0, quota).map((c) => c.noStr));
+
+    Utils.log(
+      `${priority} rotation: ${selected.size}/${candidates.length} stores due ` +
+        `(${Utils.formatFrequency(frequency)})`,
+      "INFO"
+    );
+    return selected;
+  }
+
+  // Collect the stores in a finished plan; call save() once all are marked
+  markVisited(workingDays) {
+    workingDays.forEach((week) => {
+      week.forEach((dayInfo) => {
+        (dayInfo.optimizedStores || []).forEach((store) => {
+          if (store.noStr) this.visited.add(store.noStr.toString().trim());
+        });
+      });
+    });
+  }
+
+  save() {
+    const entries = this.loadEntries();
+    const target = this.targetKey;
+
+    // Only the target month changes: a re-plan that dropped a store takes
+    // that month off again and leaves its other months alone
+    this.visited.forEach((noStr) => {
+      if (!entries.has(noStr)) entries.set(noStr, new Set());
+      entries.get(noStr).add(target);
+    });
+    entries.forEach((visited, noStr) => {
+      if (!this.visited.has(noStr)) visited.delete(target);
+    });
+
+    const rows = Array.from(entries.entries())
+      .filter(([, visited]) => visited.size > 0)
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([noStr, visited]) => {
+        const months = Array.from(visited).sort((a, b) => a - b);
+        return [
+          noStr,
+          VisitHistory.formatMonthKey(months[months.length - 1]),
+          months.map((key) => VisitHistory.formatMonthKey(key)).join(", "),
+        ];
+      });
+
+    let sheet = this.ss.getSheetByName(CONFIG.VISIT_HISTORY.SHEET_NAME);
+    if (!sheet) sheet = this.ss.insertSheet(CONFIG.VISIT_HISTORY.SHEET_NAME);
+    sheet.clear();
+
+    const values = [["No.Str", "Last Visit", "Visited Months"], ...rows];
+    sheet
+      .getRange(1, 1, values.length, 3)
+      .setNumberFormat("@") // Keep "2026-10" as text
+      .setValues(values);
+    sheet.getRange(1, 1, 1, 3).setFontWeight("bold");
+
+    Utils.log(
+      `Visit history saved: ${this.visited.size} stores visited in ` +
+        VisitHistory.formatMonthKey(target),
+      "INFO"
+    );
+  }
+}